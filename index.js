@@ -21,10 +21,64 @@
  * we never have to touch the binary layout ourselves.
  */
 
-const irsdk  = require('iracing-sdk-js');
-const Table  = require('cli-table3');
-const chalk  = require('chalk');
-const pkg    = require('./package.json');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const Table    = require('cli-table3');
+const chalk    = require('chalk');
+const pkg      = require('./package.json');
+
+const { parseArgs, USAGE }              = require('./lib/cli');
+const { createRecorder, recordSource }  = require('./lib/recorder');
+const { createReplay }                  = require('./lib/replay');
+const { createPitTracker }              = require('./lib/pits');
+const { createLapTracker, stintStats }  = require('./lib/laps');
+const { createFuelTracker, fuelPlan, estimatePerLap } = require('./lib/fuel');
+const { projectFinish, projectOrder }   = require('./lib/finish');
+const { relativeOrder }                 = require('./lib/relative');
+const { createIntervalTracker }         = require('./lib/intervals');
+const { createSectorTracker, parseSectors, bestSectors, theoreticalBest } = require('./lib/sectors');
+const { sessionKind, compareBestLap, qualifyPhase } = require('./lib/session');
+const { createStandingsServer }         = require('./lib/server');
+const { writeReports }                  = require('./lib/report');
+const { resolveConfig }                 = require('./lib/config');
+const { getTheme }                      = require('./lib/theme');
+const { createIncidentTracker }         = require('./lib/incidents');
+const { createEventDetector, createEventLog, carFlagKind, EVENT_TYPES } = require('./lib/events');
+const { layoutTrackMap, columnOf }      = require('./lib/trackmap');
+const { flagState, pacingState, enumLabel, timeOfDay, createPaceTracker } = require('./lib/status');
+const { createAlertEngine }             = require('./lib/alerts');
+const { createDriveTimeTracker, driveTimeLimits } = require('./lib/teams');
+const { createHistoryStore, comboOf, personalBest, headToHead } = require('./lib/history');
+const { createScreen, stripAnsi }       = require('./lib/screen');
+const { formatLapTime, formatClock }    = require('./lib/format');
+
+// ─── Options ──────────────────────────────────────────────────────────────────
+
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (err) {
+  console.error(chalk.red(err.message));
+  console.error(USAGE);
+  process.exit(1);
+}
+if (options.help)    { console.log(USAGE); process.exit(0); }
+if (options.version) { console.log(pkg.version); process.exit(0); }
+
+// Config file + flags → the complete display settings (see lib/config.js).
+try {
+  options = resolveConfig(options);
+} catch (err) {
+  console.error(chalk.red(err.message));
+  process.exit(1);
+}
+// Without a terminal to draw on, fall back to plain text snapshots.  The
+// headless formats carry no colour.
+const format   = options.format ?? (process.stdout.isTTY ? 'tui' : 'plain');
+const headless = format !== 'tui';
+if (headless) chalk.level = 0;
+
+const theme = getTheme(options.theme);
 
 // ─── State ────────────────────────────────────────────────────────────────────
 
@@ -34,6 +88,38 @@ let isConnected        = false;
 let dotCount           = 0;    // Animated waiting indicator
 const carCache         = {};   // Last known state for each CarIdx, keyed by idx
 
+// History accumulated over a whole session.  Unlike carCache this survives a
+// Disconnected blip and is only cleared when a different session starts.
+let sessionKey         = null; // Identifies the session the history belongs to
+const pitTracker       = createPitTracker();
+const lapTracker       = createLapTracker();
+const fuelTracker      = createFuelTracker();
+const intervalTracker  = createIntervalTracker();
+const sectorTracker    = createSectorTracker();
+const incidentTracker  = createIncidentTracker();
+const paceTracker      = createPaceTracker();
+const driveTimeTracker = createDriveTimeTracker();
+const eventDetector    = createEventDetector();
+const eventLog         = createEventLog(500); // race control feed, see lib/events.js
+const alertEngine      = createAlertEngine(options.alerts);
+const historyStore     = options.historyDir ? createHistoryStore(options.historyDir) : null;
+
+// UI state driven by the keyboard.
+let view               = options.view === 'relative' ? 'relative' : 'standings'; // 'standings' | 'relative' | 'laps' (drill-down for the selected car)
+let selectedIdx        = null;        // CarIdx of the selected car; null = follow the player
+let lastOrder          = [];          // CarIdx values in the order last displayed
+let layout             = options.view === 'class' ? 'class' : 'overall'; // 'overall' | 'class' (one section per car class)
+let notice             = null;        // { text, until } – short message shown in the footer
+let reportedKey        = null;        // sessionKey of the last session reported automatically
+let eventFilter        = null;        // event type shown in the log; null = all
+let showTrackMap       = true;        // track map panel under the standings
+let banners            = [];          // { text, until } – alert banners at the top of the frame
+let sortKey            = 'position';  // standings table order, see TABLE_SORTS
+let scrollTop          = 0;           // first car shown in the overall table
+let classScroll        = new Map();   // class → first car shown in its section of the grouped table
+let showDetail         = false;       // driver detail pane for the selected car
+let showHelp           = false;       // key binding overlay
+
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
@@ -68,6 +154,22 @@ function calcIRatingDeltas(cars) {
   }
 }
 
+/**
+ * The iRating change to show for a car: the projection for where it will
+ * finish when there is one (see raceFinish()), else the change for the
+ * current order.
+ */
+function ratingDelta(car) {
+  return car.projected?.iRatingDelta ?? car.iRatingDelta;
+}
+
+/** Strength of Field: average iRating of the cars given, or null if none are rated. */
+function calcSOF(cars) {
+  const rated = cars.filter(c => c.iRating > 0);
+  if (rated.length === 0) return null;
+  return Math.round(rated.reduce((sum, c) => sum + c.iRating, 0) / rated.length);
+}
+
 /**
  * Rough Safety Rating delta estimate for the player.
  *
@@ -84,9 +186,7 @@ function estimateSRDelta(laps, incidents) {
 /** Format seconds → "M:SS.mmm". Negative / sentinel values display as dashes. */
 function formatTime(seconds) {
   if (seconds == null || seconds < 0) return chalk.gray('--:--.---');
-  const mins = Math.floor(seconds / 60);
-  const secs = (seconds % 60).toFixed(3).padStart(6, '0');
-  return `${mins}:${secs}`;
+  return formatLapTime(seconds);
 }
 
 /**
@@ -105,99 +205,1442 @@ function formatGap(gapSeconds, position) {
     return chalk.red(`+${lapsDown}L`);
   }
 
-  if (gapSeconds >= 60) {
-    const m = Math.floor(gapSeconds / 60);
-    const s = (gapSeconds % 60).toFixed(3).padStart(6, '0');
-    return `+${m}:${s}`;
-  }
+  if (gapSeconds >= 60) return `+${formatLapTime(gapSeconds)}`;
 
   return `+${gapSeconds.toFixed(3)}s`;
 }
 
 
 /**
- * Resolve a per-car flag from CarIdxSessionFlags into a short coloured label.
- * The SDK returns an array of strings e.g. ["Blue"], ["Servicible"], [].
- * Note: the SDK has a typo — "Servicible" instead of "Serviceable".
- * Priority: DQ > black > meatball > blue > warn.
+ * Resolve a per-car flag from CarIdxSessionFlags into a short coloured label.
+ * The SDK returns an array of strings e.g. ["Blue"], ["Servicible"], [].
+ * Note: the SDK has a typo — "Servicible" instead of "Serviceable".
+ * Priority: DQ > black > meatball > blue > warn (see carFlagKind in
+ * lib/events.js, which the event log shares).
+ */
+function getCarFlagCell(raw) {
+  switch (carFlagKind(raw)) {
+    case 'dq':       return chalk.bgRed.white.bold(' DQ ');
+    case 'black':    return chalk.bgRed.white.bold(' BLK');
+    case 'meatball': return chalk.bgYellow.black.bold('MBAL');
+    case 'blue':     return chalk.blue.bold('BLUE');
+    case 'warn':     return chalk.yellow.bold('WARN');
+    default:         return '';
+  }
+}
+
+/**
+ * Colour a license string (e.g. "A 4.32") by license class letter.
+ * R=rookie(red), D=blue, C=orange, B=green, A=light-blue, P/WC=black on gold.
+ */
+function licenseCell(licStr) {
+  if (!licStr) return chalk.gray('--');
+  const letter = licStr.trim().charAt(0).toUpperCase();
+  const label  = letter; // just the class letter
+  switch (letter) {
+    case 'R': return chalk.red.bold(label);
+    case 'D': return chalk.blue.bold(label);
+    case 'C': return chalk.hex('#FFA500').bold(label);
+    case 'B': return chalk.green.bold(label);
+    case 'A': return chalk.cyan.bold(label);
+    case 'P': return chalk.bgYellow.black.bold(label);
+    default:  return chalk.white(label);
+  }
+}
+
+/**
+ * Pit column: a live timer while the car is in the pit lane (highlighted once
+ * it is stationary in its stall), otherwise "<stops>× L<lap of last stop>".
+ */
+function pitCell(pit, sessionTime) {
+  if (pit.inStall) {
+    const secs = pit.stallEnteredAt != null ? ` ${Math.floor(sessionTime - pit.stallEnteredAt)}s` : '';
+    return chalk.bgYellow.black.bold(`STOP${secs}`);
+  }
+  if (pit.onPitRoad) {
+    const secs = pit.laneEnteredAt != null ? ` ${Math.floor(sessionTime - pit.laneEnteredAt)}s` : '';
+    return chalk.yellow.bold(`PIT${secs}`);
+  }
+  if (pit.stops === 0) return chalk.gray('-');
+  return chalk.white(`${pit.stops}×`) + chalk.gray(` L${pit.lastStopLap ?? '?'}`);
+}
+
+/**
+ * Stint pace cell: 5-lap average (3-lap until five clean laps exist) plus an
+ * arrow for the stint trend – red ▲ losing time per lap, green ▼ gaining
+ * (orange / blue in the colour-blind theme).
+ * Trends under TREND_FLAT s/lap are treated as noise.
+ */
+const TREND_FLAT = 0.05;
+function paceCell(stats) {
+  const avg = stats.avg5 ?? stats.avg3;
+  if (avg == null) return chalk.gray('--');
+  let arrow = ' ';
+  if (stats.trend != null && stats.trend >  TREND_FLAT) arrow = theme.bad('▲');
+  if (stats.trend != null && stats.trend < -TREND_FLAT) arrow = theme.good('▼');
+  return `${formatTime(avg)} ${arrow}`;
+}
+
+/** Consistency cell: standard deviation of the stint's clean laps. */
+function stdDevCell(stats) {
+  if (stats.stdDev == null) return chalk.gray('--');
+  const str = stats.stdDev.toFixed(2);
+  if (stats.stdDev < 0.3) return theme.good(str);
+  if (stats.stdDev < 1.0) return chalk.white(str);
+  return theme.bad(str);
+}
+
+/**
+ * CarClassColor arrives from the YAML as a hex literal – usually parsed into
+ * a number (0xffda59), occasionally left as the string "0xffda59".  Returns a
+ * "#rrggbb" string, or null when the class has no colour (iRacing uses 0 for
+ * single-class sessions).
+ */
+function parseClassColor(raw) {
+  if (raw == null) return null;
+  const n = typeof raw === 'number' ? raw : parseInt(String(raw).replace(/^0x/i, ''), 16);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  return '#' + n.toString(16).padStart(6, '0');
+}
+
+/** chalk function drawing text in a car's class colour (white if it has none). */
+function classColor(car) {
+  return car?.classColor ? chalk.hex(car.classColor) : chalk.white;
+}
+
+/**
+ * Gap from `car` to its class leader in the same encoding as CarIdxF2Time:
+ * seconds while on the lead lap, N × 3600 when N laps down, so formatGap()
+ * can render either.  F2Time is measured to the overall leader, so the class
+ * gap is the difference between the two cars' figures – unless either is
+ * lap-encoded (a class leader lapped overall, say), when the distance
+ * between the two cars at the class leader's lap time stands in for it.
+ */
+function classGap(car, leader) {
+  if (car === leader) return 0;
+  const behind   = (leader.laps + leader.distPct) - (car.laps + car.distPct);
+  const lapsDown = Math.floor(behind);
+  if (lapsDown >= 1) return lapsDown * 3600;
+  if (car.gap == null || car.gap < 0 || leader.gap == null || leader.gap < 0) return null;
+  if (car.gap >= 3600 || leader.gap >= 3600) {
+    const pace = leader.lastLap > 0 ? leader.lastLap : leader.bestLap > 0 ? leader.bestLap : null;
+    return pace != null ? Math.max(0, behind) * pace : null;
+  }
+  return Math.max(0, car.gap - leader.gap);
+}
+
+/** Class names in the order their leaders run overall (cars must be sorted). */
+function classOrder(cars) {
+  return [...new Set(cars.map(c => c.carClass || '__default__'))];
+}
+
+/** Section header for one class in the grouped layout: name, size and class SOF. */
+function classHeader(members) {
+  const name = members[0].carClass || 'Class';
+  const sof  = calcSOF(members);
+  return classColor(members[0]).bold(`■ ${name}`) +
+    chalk.gray(`   ${members.length} car${members.length === 1 ? '' : 's'}`) +
+    chalk.gray('   SOF ') + chalk.white(sof != null ? String(sof) : 'N/A');
+}
+
+/**
+ * Interval column: time to the car directly ahead plus how it changed over
+ * the last lap – green ▲ closing, red ▼ losing.  Lapped intervals use the
+ * CarIdxF2Time encoding, so they read "+1L" exactly like the Gap column.
+ * Cars that have run within a second of each other for several laps are a
+ * battle and get a highlighted cell – unless the car is on pit road, where
+ * being close to the car ahead means nothing.
+ */
+function intervalCell(info, onTrack) {
+  if (!info) return chalk.gray('--');
+  if (info.interval >= 3600) return formatGap(info.interval, 0);
+
+  let str = `+${info.interval.toFixed(3)}`;
+  if (info.delta != null && Math.abs(info.delta) >= 0.05) {
+    str += info.delta < 0
+      ? theme.good(` ▲${Math.abs(info.delta).toFixed(2)}`)
+      : theme.bad(` ▼${info.delta.toFixed(2)}`);
+  }
+  return info.battle && onTrack ? chalk.bgMagenta.white.bold('⚔') + ' ' + str : str;
+}
+
+/**
+ * Best-lap gap from `car` to `leader`, the fastest car it is ranked against:
+ * 0 for the leader itself, null while either has no time.
+ */
+function bestLapGap(car, leader) {
+  if (!(car.bestLap > 0) || !(leader?.bestLap > 0)) return null;
+  return car === leader ? 0 : car.bestLap - leader.bestLap;
+}
+
+/** Lone-qualifying run state: OUT / HOT / IN lap, or PIT. */
+function phaseCell(phase) {
+  switch (phase) {
+    case 'out': return chalk.cyan('OUT');
+    case 'hot': return chalk.bgMagenta.white.bold(' HOT ');
+    case 'in':  return chalk.gray('IN');
+    case 'pit': return chalk.yellow('PIT');
+    default:    return chalk.gray('--');
+  }
+}
+
+/**
+ * Incident count from a DriverInfo record.  iRacing hides other drivers'
+ * counts in some sessions and reports them as -1 (or omits the field); both
+ * come back as null.
+ */
+function incidentCount(driver) {
+  const n = parseInt(driver.CurDriverIncidentCount, 10);
+  return n >= 0 ? n : null;
+}
+
+// Seconds of session time the Inc column highlights a new incident for.
+const INCIDENT_FLASH = 10;
+
+/**
+ * Incident column: the driver's total, with the points just picked up
+ * flashed next to it for INCIDENT_FLASH seconds – white for an off-track
+ * (1x), the theme's warning colour for a loss of control (2x) and its bad
+ * colour for contact (4x) or worse.  Totals of 10x and more stay in the bad
+ * colour as a standing warning.
+ */
+function incidentCell(car) {
+  if (car.incidents == null) return chalk.gray('--');
+  const total = car.incidents >= 10 ? theme.bad(`${car.incidents}x`) : chalk.white(`${car.incidents}x`);
+  const n = car.newIncidents;
+  if (!(n > 0)) return total;
+  const flash = n >= 4 ? theme.bad.inverse.bold
+              : n >= 2 ? theme.warn.inverse.bold
+              : chalk.inverse.bold;
+  return flash(`+${n}`) + ' ' + total;
+}
+
+/** Pick a chalk colour function based on overall position. */
+function posColor(pos) {
+  if (pos === 1) return chalk.green.bold;
+  if (pos === 2) return chalk.cyan.bold;
+  if (pos === 3) return chalk.yellow.bold;
+  return chalk.white;
+}
+
+/**
+ * Render a compact progress bar showing how far along the current lap a car is.
+ * e.g.  "████░░ 72%"
+ */
+function lapBar(pct) {
+  const clamped = Math.max(0, Math.min(1, pct));
+  const filled  = Math.round(clamped * 6);
+  const bar     = '█'.repeat(filled) + '░'.repeat(6 - filled);
+  return `${bar} ${(clamped * 100).toFixed(0).padStart(3)}%`;
+}
+
+// Sectors drawn individually in the Sectors column; beyond this the column
+// would overflow, so only the sector being run and its neighbours are shown.
+const MAX_SECTOR_MARKS = 8;
+
+/**
+ * Colour for one sector time: purple when it is the session best (overall,
+ * or in the car's class with `sectorBest: "class"`), green for a personal
+ * best, yellow otherwise.
+ */
+function sectorColor(car, i, time) {
+  if (time <= car.sessionBestSectors?.[i]) return chalk.magenta.bold;
+  if (time <= car.sectors?.best[i])      return theme.good.bold;
+  return theme.warn;
+}
+
+/**
+ * Sector status for the lap in progress, one mark per sector:
+ * ■ in the sector's colour once it has been completed this lap, a white ▸ for
+ * the sector being run and a grey · for those still to come.
+ */
+function sectorStatus(car) {
+  const rec   = car.sectors;
+  const count = sectorTracker.count();
+  if (!rec || count === 0) return chalk.gray('--');
+
+  const marks = [];
+  for (let i = 0; i < count; i++) {
+    const time = rec.current[i];
+    if (time != null)          marks.push(sectorColor(car, i, time)('■'));
+    else if (i === rec.sector) marks.push(chalk.white('▸'));
+    else                       marks.push(chalk.gray('·'));
+  }
+  if (marks.length <= MAX_SECTOR_MARKS) return marks.join('');
+  const from = Math.min(Math.max(0, (rec.sector ?? 0) - MAX_SECTOR_MARKS / 2), count - MAX_SECTOR_MARKS);
+  return marks.slice(from, from + MAX_SECTOR_MARKS).join('');
+}
+
+/**
+ * Player sector panel: the latest time in every sector against the personal
+ * best, and the theoretical best lap made of the best sectors.  The gap
+ * between that and the actual best lap is the time still to be found.
+ */
+function renderSectorPanel(out, playerCar) {
+  const rec   = playerCar?.sectors;
+  const count = sectorTracker.count();
+  if (!rec || count === 0 || playerCar.disconnected) return;
+
+  const parts = [];
+  for (let i = 0; i < count; i++) {
+    const time = rec.current[i] ?? rec.last[i];
+    let str = chalk.gray(`S${i + 1} `);
+    if (time == null) {
+      str += chalk.gray('--.---');
+    } else {
+      str += sectorColor(playerCar, i, time)(time.toFixed(3));
+      const lost = time - rec.best[i];
+      if (lost >= 0.001) str += chalk.gray(` +${lost.toFixed(3)}`);
+    }
+    parts.push(str);
+  }
+  out.print(chalk.bold.white('  SECTORS  ') + parts.join('   '));
+
+  const theo = theoreticalBest(rec, count);
+  if (theo == null) return;
+  let line = chalk.gray('           Theoretical best ') + chalk.magenta.bold(formatTime(theo));
+  if (playerCar.bestLap > 0) {
+    const toFind = playerCar.bestLap - theo;
+    line += chalk.gray('   Best lap ') + chalk.white(formatTime(playerCar.bestLap));
+    if (toFind >= 0.001) line += chalk.gray('   ') + chalk.cyan(`${toFind.toFixed(3)}s`) + chalk.gray(' to find');
+  }
+  out.print(line);
+}
+
+/**
+ * One-line replay transport bar, e.g.
+ *   "▶ REPLAY  12:34 / 58:10  ×2   Space pause  ←/→ ±10s  ,/. ±60s  -/+ speed"
+ */
+function replayStatusLine() {
+  const st    = iracing.status();
+  const state = st.ended  ? chalk.gray('■ END')
+              : st.paused ? chalk.yellow.bold('❚❚ PAUSED')
+              : chalk.green.bold('▶ REPLAY');
+  return '  ' + state +
+    chalk.white(`  ${formatClock(st.position / 1000)} / ${formatClock(st.duration / 1000)}`) +
+    chalk.cyan(`  ×${st.speed}`) +
+    chalk.gray('   Space pause  ←/→ ±10s  ,/. ±60s  -/+ speed');
+}
+
+/** Border characters shared by every table we draw. */
+const TABLE_CHARS = {
+  // Minimal border style for a cleaner look
+  top: '─', 'top-mid': '┬', 'top-left': '┌', 'top-right': '┐',
+  bottom: '─', 'bottom-mid': '┴', 'bottom-left': '└', 'bottom-right': '┘',
+  left: '│', 'left-mid': '├', mid: '─', 'mid-mid': '┼',
+  right: '│', 'right-mid': '┤', middle: '│',
+};
+
+/** The car the selection points at: the chosen CarIdx, else the player, else P1. */
+function selectedCar(cars) {
+  return cars.find(c => c.idx === selectedIdx)
+      ?? cars.find(c => c.isPlayer)
+      ?? cars[0];
+}
+
+/**
+ * Orders the standings table can be sorted in (`s` cycles through them).
+ * Only the rows move: positions, gaps and intervals stay those of the live
+ * running order.  Ties keep the live order.
+ */
+const TABLE_SORTS = {
+  position: { label: 'live order', compare: null },
+  best:     { label: 'best lap',   compare: compareBestLap },
+  irating:  { label: 'iRating',    compare: (a, b) => b.iRating - a.iRating },
+  class:    { label: 'class',      compare: null }, // see sortForTable()
+};
+
+/** `cars` (in live order) in the table's current sort order. */
+function sortForTable(cars) {
+  if (sortKey === 'class') {
+    const rank = new Map(classOrder(cars).map((cls, i) => [cls, i]));
+    const of   = c => rank.get(c.carClass || '__default__');
+    return [...cars].sort((a, b) => of(a) - of(b));
+  }
+  const { compare } = TABLE_SORTS[sortKey];
+  return compare ? [...cars].sort(compare) : cars;
+}
+
+/**
+ * First row of a `size`-row window over `total` rows that keeps row `index`
+ * in view, moving as little as possible from `top`.  An index of -1 leaves
+ * the window where it is.
+ */
+function scrollWindow(top, index, size, total) {
+  let next = top;
+  if (index >= 0 && index < next) next = index;
+  if (index >= next + size) next = index - size + 1;
+  return Math.max(0, Math.min(next, total - size));
+}
+
+// How long a footer notice stays up.
+const NOTICE_MS = 5000;
+
+/** Show `text` in the footer for a few seconds. */
+function showNotice(text) {
+  // Headless output keeps stdout for data; notices go to stderr instead.
+  if (headless) console.error(text);
+  else notice = { text, until: Date.now() + NOTICE_MS };
+}
+
+// Whole status bar drawn in these colours under these flags; otherwise only
+// the flag itself is coloured.
+const FLAG_BAR_STYLES = {
+  red:       chalk.bgRed.white.bold,
+  checkered: chalk.bgWhite.black.bold,
+  caution:   chalk.bgYellow.black.bold,
+  white:     chalk.bgWhite.black,
+};
+const FLAG_TEXT_STYLES = {
+  yellow: chalk.yellow.bold,
+  green:  chalk.green.bold,
+};
+
+/**
+ * Width the full-width bars (status, alert banners) are padded to: the
+ * terminal less the two-column indent and the last column, which the screen
+ * leaves free.
+ */
+function barWidth() {
+  return Math.max(40, (process.stdout.columns || 120) - 3);
+}
+
+/** Telemetry temperature in °C, else the "22.00 C" figure from WeekendInfo. */
+function temperature(live, fallback) {
+  if (live != null && Number.isFinite(live)) return `${live.toFixed(1)}°C`;
+  const parsed = parseFloat(fallback);
+  return Number.isFinite(parsed) ? `${parsed.toFixed(1)}°C` : '--';
+}
+
+/**
+ * Session status bar: the global flag, pacing under a start or caution
+ * (laps run under yellow, a countdown to the green on the last pace lap),
+ * then track conditions and the time of day at the track.  Under a caution,
+ * red, white or chequered flag the whole bar takes the flag's colour.
+ *
+ *   ⚑ GREEN FLAG  │  Air 22.3°C  Track 31.4°C  Dry  Partly Cloudy  │  14:05
+ *   ⚑ CAUTION  │  Double-file restart · 3 laps under caution · Green in 24s  │  …
+ */
+function renderStatusBar(out, tel, si) {
+  const wi     = si?.WeekendInfo ?? {};
+  const flag   = flagState(tel.SessionFlags);
+  const pacing = pacingState(tel);
+  const pace   = paceTracker.get();
+
+  // Without a flag out, say what the session is doing ("Racing", "Parade laps").
+  const flagText = flag?.label ?? enumLabel(tel.SessionState) ?? 'No flag';
+  const parts    = [];
+
+  if (pacing) {
+    const lights = pacing.lights ? pacing.lights.toUpperCase() : null;
+    const text   = [
+      `${pacing.doubleFile ? 'Double' : 'Single'}-file ${pacing.restart ? 'restart' : 'start'}`,
+      pace.cautionLaps != null ? `${pace.cautionLaps} ${pace.cautionLaps === 1 ? 'lap' : 'laps'} under caution` : null,
+      pacing.oneLapToGreen ? 'One lap to green' : null,
+      pace.greenIn != null ? `Green in ${Math.ceil(pace.greenIn)}s` : null,
+      lights,
+    ].filter(Boolean).join(' · ');
+    parts.push(text);
+  }
+
+  const conditions = [
+    `Air ${temperature(tel.AirTemp, wi.TrackAirTemp)}`,
+    `Track ${temperature(tel.TrackTempCrew ?? tel.TrackTemp, wi.TrackSurfaceTemp)}`,
+    enumLabel(tel.TrackWetness),
+    tel.Precipitation > 0 ? `Rain ${Math.round(tel.Precipitation * 100)}%` : null,
+    tel.WeatherDeclaredWet ? 'Declared wet' : null,
+    wi.TrackSkies ? String(wi.TrackSkies) : null,
+  ].filter(Boolean).join('  ');
+  parts.push(conditions);
+
+  const clock = timeOfDay(tel.SessionTimeOfDay);
+  if (clock) parts.push(clock);
+
+  const rest    = parts.map(p => '  │  ' + p).join('');
+  const barStyle = flag && FLAG_BAR_STYLES[flag.key];
+  if (barStyle) {
+    out.print('  ' + barStyle((' ' + flagText + rest).padEnd(barWidth())));
+  } else {
+    const flagStyle = (flag && FLAG_TEXT_STYLES[flag.key]) ?? chalk.gray;
+    out.print('  ' + flagStyle(flagText) + chalk.white(rest));
+  }
+}
+
+// How long an alert banner stays at the top of the frame, and how many show.
+const BANNER_MS   = 8000;
+const MAX_BANNERS = 3;
+
+/**
+ * Run the alert rules (lib/alerts.js) against the latest telemetry sample and
+ * carry out what the ones that fired ask for: the terminal bell, a banner, a command.  The
+ * command gets the rule name and message in PITWALL_ALERT / PITWALL_MESSAGE;
+ * it runs detached and anything it prints is discarded.
+ */
+function checkAlerts(model) {
+  const ctx = {
+    ...model,
+    pace: paceOf,
+    fuel: playerFuel(model.tel, model.si, model.session, model.cars, model.playerCar),
+    team: playerTeam(model),
+  };
+  for (const { rule, text } of alertEngine.update(ctx)) {
+    if (rule.bell && !headless) process.stdout.write('\x07');
+    if (rule.banner && headless) console.error(`Alert: ${text}`);
+    else if (rule.banner) banners = [...banners, { text, until: Date.now() + BANNER_MS }].slice(-MAX_BANNERS);
+    if (rule.command) {
+      const child = spawn(rule.command, {
+        shell: true,
+        stdio: 'ignore',
+        env:   { ...process.env, PITWALL_ALERT: rule.when, PITWALL_MESSAGE: text },
+      });
+      child.on('error', () => {}); // a broken hook must not take the display down
+      child.unref();
+    }
+  }
+}
+
+/** Alert banners still showing, flashing on alternate redraws. */
+function renderBanners(out) {
+  banners = banners.filter(b => Date.now() < b.until);
+  const flash = Math.floor(Date.now() / 500) % 2 === 0;
+  const style = flash ? chalk.bgRed.white.bold : chalk.bgWhite.red.bold;
+  for (const b of banners) out.print('  ' + style(` ⚑ ${b.text} `.padEnd(barWidth())));
+}
+
+// Rows of car numbers under the track map line; further cars are counted.
+const TRACK_MAP_ROWS = 3;
+
+/**
+ * The whole field on one line: the lap from start/finish to start/finish,
+ * sector boundaries as ┼, each car a ● in its class colour with its number
+ * underneath.  The player is drawn inverted; cars on pit road come off the
+ * line and are listed after PIT instead.
+ *
+ *   TRACK  ├──●─●●──────┼────●───────●●●●──┼───●─────┤
+ *             3 12     44  7  19 5
+ *                21          88
+ *     PIT  #31 #9
+ */
+function renderTrackMap(out, cars, si) {
+  const width   = Math.max(40, Math.min(200, (process.stdout.columns || 120) - 12));
+  const onTrack = cars.filter(c => !c.disconnected && !c.onPitRoad);
+  const inPits  = cars.filter(c => !c.disconnected && c.onPitRoad);
+  const { marks, rows, hidden } = layoutTrackMap(
+    onTrack.map(car => ({ ...car, label: car.number })), width, TRACK_MAP_ROWS,
+  );
+  const style = car => (car.isPlayer ? classColor(car).inverse.bold : classColor(car));
+
+  const line = new Array(width).fill(chalk.gray('─'));
+  for (const start of parseSectors(si)) {
+    if (start > 0) line[columnOf(start, width)] = chalk.gray('┼');
+  }
+  for (const [col, here] of marks) {
+    const car = here.find(c => c.isPlayer) ?? here[0];
+    line[col] = style(car)(here.length > 1 ? String(Math.min(here.length, 9)) : '●');
+  }
+  out.print(chalk.bold('  TRACK  ') + chalk.gray('├') + line.join('') + chalk.gray('┤'));
+
+  for (const row of rows) {
+    let text = '';
+    let at   = 0;
+    for (const { col, car } of row) {
+      text += ' '.repeat(col - at) + style(car)(car.label);
+      at    = col + car.label.length;
+    }
+    out.print('          ' + text);
+  }
+  if (hidden.length) {
+    out.print(chalk.gray(`          +${hidden.length} more: `) + hidden.map(c => style(c)('#' + c.number)).join(' '));
+  }
+  if (inPits.length) {
+    out.print(chalk.cyan('    PIT  ') + inPits.map(c => style(c)('#' + c.number)).join(' '));
+  }
+}
+
+// Lines of the event log shown under the standings.
+const EVENT_LOG_LINES = 6;
+
+const EVENT_COLORS = {
+  position:   chalk.white,
+  lap:        chalk.magenta,
+  pit:        chalk.cyan,
+  flag:       chalk.yellow,
+  connection: chalk.gray,
+  driver:     chalk.blue,
+  session:    chalk.green,
+};
+
+/**
+ * The latest race control events, oldest at the top so new entries scroll
+ * the feed upwards.  `f` cycles the type filter.
+ */
+function renderEventLog(out) {
+  const entries = eventLog.list(eventFilter).slice(-EVENT_LOG_LINES);
+  const title   = chalk.bold('  EVENTS') + chalk.gray(`  ${eventFilter ?? 'all'}  (f filter)`);
+  out.print(title);
+  if (entries.length === 0) {
+    out.print(chalk.gray('  –'));
+    return;
+  }
+  for (const e of entries) {
+    out.print('  ' + chalk.gray(formatClock(e.at).padStart(8)) + '  ' + EVENT_COLORS[e.type](e.text));
+  }
+}
+
+/** Cycle the event log filter: all → each type → all. */
+function cycleEventFilter() {
+  const i = eventFilter ? EVENT_TYPES.indexOf(eventFilter) : -1;
+  eventFilter = EVENT_TYPES[i + 1] ?? null;
+}
+
+/** Status line (replay transport or last-update time) plus key hints. */
+function printFooter(out) {
+  if (notice && Date.now() < notice.until) out.print('  ' + notice.text);
+  if (options.replay) {
+    out.print(replayStatusLine());
+  } else {
+    const recStr   = recorder ? chalk.red.bold('● REC ') + chalk.gray(`${recorder.file}   `) : '';
+    const serveStr = server ? chalk.cyan.bold('⇄ ') + chalk.gray(`http://127.0.0.1:${options.serve}   `) : '';
+    out.print('  ' + recStr + serveStr + chalk.gray(`Updated: ${new Date().toLocaleTimeString()}`));
+  }
+  const hints = showHelp             ? '? / Esc close help  q quit'
+              : view === 'laps'     ? '↑/↓ previous/next car  Esc back  p player  Tab next view  ? help  q quit'
+              : view === 'relative' ? '↑/↓ change car  r / Esc standings  p player  Tab next view  ? help  q quit'
+              : `↑/↓ PgUp/PgDn select  Enter lap history  d detail  s sort (${TABLE_SORTS[sortKey].label})  Tab next view  ? help  q quit`;
+  out.print(chalk.gray(`  ${hints}\n`));
+}
+
+/**
+ * Driver detail pane (`d`) for the selected car, under the standings:
+ *
+ *   DRIVER  #12 Ana Silva  GTP · Team Velocity
+ *           License A 3.41   iRating 4467 → -19   Incidents 4x   Flag BLUE
+ *           Last 1:42.217   Best 1:41.905   Avg5 1:42.300   Laps 12   Stops 1   Gap +10.218s
+ *           Recent 1:42.217  1:42.514  1:42.010 (pit)
+ */
+function renderDriverDetail(out, car, livePos, kind) {
+  if (!car) return;
+  const fmt  = v => (v > 0 ? formatTime(v) : chalk.gray('--'));
+  const pad  = chalk.gray('          ');
+  const flag = getCarFlagCell(car.carFlag) || chalk.gray(car.disconnected ? 'disconnected' : 'none');
+
+  out.print(
+    chalk.bold.white('  DRIVER  ') + chalk.yellow.bold(`#${car.number} `) + chalk.white.bold(car.name) +
+    chalk.gray('  ' + [car.carClass, car.team].filter(Boolean).join(' · '))
+  );
+
+  let line = pad + chalk.gray('License ') + licenseCell(car.licString) + chalk.white(car.licString.slice(1)) +
+             chalk.gray('   iRating ') + chalk.white(String(car.iRating || '--'));
+  if (kind === 'race' && ratingDelta(car) != null) {
+    const d = ratingDelta(car);
+    line += chalk.gray(' → ') + (d >= 0 ? theme.good.bold : theme.bad.bold)(`${d >= 0 ? '+' : ''}${d}`);
+  }
+  line += chalk.gray('   Incidents ') + chalk.white(`${car.incidents ?? 0}x`) + chalk.gray('   Flag ') + flag;
+  out.print(line);
+
+  out.print(
+    pad + chalk.gray('Last ') + fmt(car.lastLap) +
+    chalk.gray('   Best ') + chalk.magenta(fmt(car.bestLap)) +
+    chalk.gray('   Avg5 ') + fmt(car.lapStats.avg5) +
+    chalk.gray('   Laps ') + chalk.white(String(car.laps)) +
+    chalk.gray('   Stops ') + chalk.white(String(car.pit.stops)) +
+    (kind === 'race' ? chalk.gray('   Gap ') + formatGap(car.gap, livePos) : '')
+  );
+
+  const recent = lapTracker.get(car.idx).slice(-DETAIL_LAPS);
+  if (recent.length > 0) {
+    out.print(pad + chalk.gray('Recent ') + recent.map(l => (
+      l.pit ? chalk.gray(`${formatTime(l.time)} (pit)`) : chalk.white(formatTime(l.time))
+    )).join('  '));
+  }
+}
+
+// Most recent laps listed in the driver detail pane.
+const DETAIL_LAPS = 6;
+
+/** Key bindings for the help overlay (`?`), by section. */
+function keyHelp() {
+  const sections = [
+    ['Navigation', [
+      ['↑ / ↓',          'Select the car above / below'],
+      ['PgUp / PgDn',    'Move the selection a page'],
+      ['Home / End',     'Select the first / last car'],
+      ['p',              'Follow your own car again'],
+    ]],
+    ['Views', [
+      ['1 2 3 4',        'Standings, by class, relative, lap history'],
+      ['Tab',            'Next view'],
+      ['Enter',          'Lap history of the selected car'],
+      ['r',              'Relative view on / off'],
+      ['c',              'Class sections on / off'],
+      ['Esc',            'Back to the standings'],
+    ]],
+    ['Standings', [
+      ['s',              `Sort by ${Object.values(TABLE_SORTS).map(s => s.label).join(', ')}`],
+      ['d',              'Driver detail pane'],
+      ['m',              'Track map on / off'],
+      ['f',              'Event log filter'],
+    ]],
+    ['General', [
+      ['e',              'Save a session report'],
+      ['?',              'This help'],
+      ['q / Ctrl+C',     'Quit'],
+    ]],
+  ];
+  if (options.replay) {
+    sections.push(['Replay', [
+      ['Space',          'Pause / resume'],
+      ['← / →',          'Seek 10 s'],
+      [', / .',          'Seek 1 min'],
+      ['- / +',          'Slower / faster'],
+    ]]);
+  }
+  return sections;
+}
+
+/** Help overlay: every key binding, drawn in place of the standings. */
+function renderHelp(out) {
+  out.print(chalk.bold.white('  Keys'));
+  for (const [title, keys] of keyHelp()) {
+    out.print('\n' + chalk.cyan.bold(`  ${title}`));
+    for (const [key, text] of keys) out.print(chalk.yellow(`    ${key.padEnd(16)}`) + chalk.white(text));
+  }
+  out.print('');
+}
+
+/**
+ * Lap history drill-down for one car: stint statistics followed by every
+ * recorded lap (as many of the most recent as fit the terminal).  The
+ * session best stays highlighted in magenta; laps that touched pit road are
+ * marked and dimmed since they don't reflect race pace.
+ */
+function renderLapHistory(out, car) {
+  if (!car) return;
+  const laps  = lapTracker.get(car.idx);
+  const stats = car.lapStats;
+
+  out.print(
+    chalk.bold.white(`  Lap history — #${car.number} ${car.name}`) +
+    (car.carClass ? chalk.gray(`  (${car.carClass})`) : '') +
+    chalk.gray(`   Stint ${stats.stint} · ${stats.stintLaps} clean laps`)
+  );
+
+  const fmt = v => (v == null ? chalk.gray('--') : formatTime(v));
+  let trendStr = chalk.gray('--');
+  if (stats.trend != null) {
+    const sign  = stats.trend >= 0 ? '+' : '';
+    const label = Math.abs(stats.trend) <= TREND_FLAT ? 'steady'
+                : stats.trend > 0 ? 'degrading' : 'improving';
+    const color = label === 'degrading' ? theme.bad : label === 'improving' ? theme.good : chalk.white;
+    trendStr = color(`${sign}${stats.trend.toFixed(3)} s/lap (${label})`);
+  }
+  out.print(
+    chalk.gray('  Best ')  + chalk.magenta.bold(fmt(stats.best)) +
+    chalk.gray('   Avg3 ') + fmt(stats.avg3) +
+    chalk.gray('   Avg5 ') + fmt(stats.avg5) +
+    chalk.gray('   σ ')    + (stats.stdDev == null ? chalk.gray('--') : `${stats.stdDev.toFixed(3)}s`) +
+    chalk.gray('   Trend ') + trendStr
+  );
+
+  if (laps.length === 0) {
+    out.print(chalk.gray('\n  No completed laps recorded yet.\n'));
+    return;
+  }
+
+  const table = new Table({
+    head:      ['Lap', 'Stint', 'Time', 'Δ Best', ''].map(h => chalk.bold.white(h)),
+    colWidths: [6, 7, 11, 10, 6],
+    colAligns: ['right', 'right', 'right', 'right', 'left'],
+    chars:     TABLE_CHARS,
+    style:     { head: [], border: [], compact: true },
+  });
+
+  // Header, stats, table borders and footer take roughly 12 lines.
+  const maxRows = Math.max(5, (process.stdout.rows || 40) - 12);
+  for (const l of laps.slice(-maxRows)) {
+    const isPB  = l.time != null && l.time === stats.best;
+    const delta = l.time != null && stats.best != null && !isPB
+      ? `+${(l.time - stats.best).toFixed(3)}`
+      : '';
+    let timeStr = formatTime(l.time ?? -1);
+    if (isPB)       timeStr = chalk.magenta.bold(timeStr);
+    else if (l.pit) timeStr = chalk.gray(timeStr);
+
+    table.push([
+      String(l.lap),
+      String(l.stint),
+      timeStr,
+      chalk.gray(delta),
+      isPB ? chalk.magenta.bold('PB') : l.pit ? chalk.yellow('PIT') : '',
+    ]);
+  }
+  out.print(table.toString());
+}
+
+/** Representative lap time for projections: recent average, else best lap. */
+function paceOf(car) {
+  if (!car) return null;
+  return car.lapStats.avg5 ?? car.lapStats.avg3 ?? (car.bestLap > 0 ? car.bestLap : null);
+}
+
+// Extra laps of fuel kept in hand when working out how much to add.
+const FUEL_MARGIN_LAPS = 0.5;
+
+/**
+ * Fuel strategy panel for the player car (hidden when spectating):
+ *
+ *   FUEL  23.4 L   2.61 L/lap (5 green laps)   9.0 laps left
+ *         Finish in 14.2 laps → add 14.6 L (1 stop)   Save 1.65 L/lap to skip a stop
+ *
+ * The finish is the lap limit, or in timed races the time remaining divided
+ * by the leader's pace (see lib/finish.js).
+ */
+function renderFuelPanel(out, tel, si, session, cars, playerCar) {
+  const fuel = playerFuel(tel, si, session, cars, playerCar);
+  if (!fuel) return;
+  const { level, perLap, stats, finish, plan } = fuel;
+
+  const label = chalk.bold.white('  FUEL  ');
+  if (!plan) {
+    out.print(label + chalk.white(`${level.toFixed(1)} L`) + chalk.gray('   measuring consumption…'));
+    return;
+  }
+
+  const perLapSrc = fuel.estimated
+    ? chalk.gray(' (est.)')
+    : chalk.gray(` (${stats.greenLaps} green lap${stats.greenLaps === 1 ? '' : 's'})`);
+  const short = plan.fuelToAdd > 0;
+  out.print(
+    label + chalk.white(`${level.toFixed(1)} L`) +
+    chalk.gray('   ') + chalk.white(`${perLap.toFixed(2)} L/lap`) + perLapSrc +
+    chalk.gray('   ') + (short ? theme.warn : theme.good)(`${plan.lapsOnFuel.toFixed(1)} laps left`)
+  );
+
+  if (!finish) return;
+  const stopsStr = plan.stops > 1 ? `${plan.stops} stops` : '1 stop';
+  let line = chalk.gray('        Finish in ') + chalk.white(`${finish.carLapsToGo.toFixed(1)} laps`);
+  if (short) {
+    line += chalk.gray(' → add ') + chalk.yellow.bold(`${plan.fuelToAdd.toFixed(1)} L`) + chalk.gray(` (${stopsStr})`);
+    line += chalk.gray('   Save ') + chalk.cyan.bold(`${plan.saveTarget.toFixed(2)} L/lap`) +
+            chalk.gray(plan.stops > 1 ? ' to skip one stop' : ' to skip the stop');
+  } else {
+    line += chalk.gray(' → ') + theme.good.bold('no stop needed') +
+            chalk.gray(` (${(level - plan.fuelNeeded).toFixed(1)} L spare)`);
+  }
+  out.print(line);
+}
+
+/**
+ * Race finish projection while the race is green or under caution: laps to
+ * go for the leader and the player (projectFinish()), and – once pace is
+ * known – the finishing order if everyone keeps their current pace.  Each
+ * car's `projected` is set to { position, classPosition, laps, iRatingDelta },
+ * the iRating change worked out for that order.  null once the flag is out
+ * or without a lap or time limit.
+ */
+function raceFinish(tel, session, cars, playerCar) {
+  if (tel.SessionState !== 'Racing' || cars.length === 0) return null;
+  const leader     = cars[0];
+  const leaderPace = paceOf(leader);
+  const finish     = projectFinish({
+    tel,
+    session,
+    leaderIdx: leader.idx,
+    leaderPace,
+    carIdx:    playerCar?.idx,
+    carPace:   paceOf(playerCar),
+  });
+  if (!finish) return null;
+
+  const order = projectOrder({
+    tel,
+    finish,
+    leaderPace,
+    cars: cars.map(c => ({ idx: c.idx, pace: paceOf(c), stopped: c.disconnected || c.stalled })),
+  });
+  if (order) {
+    const byIdx = new Map(cars.map(c => [c.idx, c]));
+    const rows  = order.map((o, i) => ({ ...byIdx.get(o.idx), pos: i + 1, projectedLaps: o.laps }));
+    for (const cls of classOrder(rows)) {
+      calcIRatingDeltas(rows.filter(r => (r.carClass || '__default__') === cls));
+    }
+    const classCounters = {};
+    for (const row of rows) {
+      const cls = row.carClass || '__default__';
+      classCounters[cls] = (classCounters[cls] ?? 0) + 1;
+      byIdx.get(row.idx).projected = {
+        position:      row.pos,
+        classPosition: classCounters[cls],
+        laps:          Math.floor(row.projectedLaps),
+        iRatingDelta:  row.iRatingDelta,
+      };
+    }
+  }
+  return finish;
+}
+
+/**
+ * Finish panel (races with a lap or time limit): laps to go, when the
+ * checkered flag is due, close calls on the lap count and where the player
+ * is projected to finish.
+ *
+ *   FINISH  Leader 12.4 laps to go   You 11.6 (1 lap down)   Flag in ~23:14 (21:47)
+ *           ⚠ You cross the line 2.1 s after the leader's flag – a little quicker and you run one lap more
+ *           Projected  P8 ▲1 · GTP P6   Δ iR +12
+ */
+function renderFinishPanel(out, model) {
+  const { finish, playerCar, multiClass } = model;
+  if (!finish) return;
+  const pad  = chalk.gray('          ');
+  const laps = n => `${n.toFixed(1)} lap${n.toFixed(1) === '1.0' ? '' : 's'}`;
+
+  let line = chalk.bold.white('  FINISH  ') + chalk.gray('Leader ') + chalk.white(`${laps(finish.leaderLapsToGo)} to go`);
+  const isLeader = playerCar && playerCar === model.cars[0];
+  if (playerCar && !playerCar.disconnected && !isLeader) {
+    const down = finish.carLapsDown;
+    line += chalk.gray('   You ') + chalk.white(laps(finish.carLapsToGo)) +
+            (down > 0 ? chalk.gray(` (${down} lap${down === 1 ? '' : 's'} down)`) : '');
+  }
+  if (finish.leaderTimeToGo != null) {
+    // Wall-clock time only means something live; a replay runs at its own speed.
+    const at = options.replay ? '' : ` (${new Date(Date.now() + finish.leaderTimeToGo * 1000).toTimeString().slice(0, 5)})`;
+    line += chalk.gray('   Flag in ') + chalk.white(`~${formatClock(finish.leaderTimeToGo)}`) + chalk.gray(at);
+  }
+  out.print(line);
+
+  if (finish.timed && finish.leaderRisk) {
+    out.print(pad + theme.warn.bold('⚠ ') + theme.warn(finish.leaderRisk === 'more'
+      ? 'The leader crosses the line just after time runs out – the race could run a lap longer'
+      : 'The leader only just beats the clock on the last lap – the race could run a lap shorter'));
+  }
+  if (playerCar && !isLeader && finish.carRisk) {
+    out.print(pad + theme.warn.bold('⚠ ') + theme.warn(finish.carRisk === 'more'
+      ? 'You cross the line just after the leader\'s flag – a little quicker and you run one lap more'
+      : 'You cross the line just before the leader\'s flag – a little slower and you run one lap fewer'));
+  }
+
+  const proj = playerCar?.projected;
+  if (proj) {
+    const moved = model.cars.indexOf(playerCar) + 1 - proj.position;
+    const arrow = moved > 0 ? theme.good(` ▲${moved}`) : moved < 0 ? theme.bad(` ▼${-moved}`) : '';
+    let projLine = pad + chalk.gray('Projected ') + chalk.white.bold(`P${proj.position}`) + arrow;
+    if (multiClass) projLine += chalk.gray(` · ${playerCar.carClass} `) + chalk.white(`P${proj.classPosition}`);
+    if (proj.iRatingDelta != null) {
+      const d = proj.iRatingDelta;
+      projLine += chalk.gray('   Δ iR ') + (d >= 0 ? theme.good.bold : theme.bad.bold)(`${d >= 0 ? '+' : ''}${d}`);
+    }
+    out.print(projLine);
+  }
+}
+
+/**
+ * The player's fuel figures, shared by the fuel panel and the fuel alert:
+ * { level, perLap, estimated, stats, finish, plan }.  `plan` is null while
+ * consumption is still unknown; the whole result is null without a player
+ * car or a fuel reading.
+ */
+function playerFuel(tel, si, session, cars, playerCar) {
+  if (!playerCar || playerCar.disconnected || !(tel.FuelLevel >= 0)) return null;
+
+  const di       = si?.DriverInfo ?? {};
+  const level    = tel.FuelLevel;
+  const capacity = (parseFloat(di.DriverCarFuelMaxLtr) || 0) * (parseFloat(di.DriverCarMaxFuelPct) || 1);
+  const stats    = fuelTracker.stats();
+  const pace     = paceOf(playerCar) ?? parseFloat(di.DriverCarEstLapTime);
+
+  let perLap    = stats.perLap;
+  let estimated = false;
+  if (perLap == null) {
+    perLap    = estimatePerLap(tel.FuelUsePerHour, parseFloat(di.DriverCarFuelKgPerLtr), pace);
+    estimated = true;
+  }
+  if (!(perLap > 0)) return { level, perLap: null, estimated, stats, finish: null, plan: null };
+
+  const leader = cars[0];
+  const finish = projectFinish({
+    tel,
+    session,
+    leaderIdx:  leader.idx,
+    leaderPace: paceOf(leader),
+    carIdx:     playerCar.idx,
+    carPace:    pace,
+  });
+  const plan = fuelPlan({
+    level,
+    perLap,
+    lapsToGo:   finish?.carLapsToGo ?? null,
+    capacity,
+    marginLaps: FUEL_MARGIN_LAPS,
+  });
+  return { level, perLap, estimated, stats, finish, plan };
+}
+
+/**
+ * Player panel: the live iRating and Safety Rating projections side by side.
+ * The iRating figure is the calcIRatingDeltas estimate for the current
+ * position (races only); the SR figure is estimateSRDelta over the laps
+ * completed and the player's own incident count.
+ */
+function renderPlayerPanel(out, tel, playerCar, kind) {
+  if (!playerCar || playerCar.disconnected) return;
+
+  const laps      = tel.LapCompleted ?? playerCar.laps;
+  const incidents = tel.PlayerCarMyIncidents ?? playerCar.incidents ?? 0;
+  const sr        = estimateSRDelta(Math.max(0, laps), incidents);
+  const srColor   = Number(sr) >= 0 ? theme.good.bold : theme.bad.bold;
+
+  let line = chalk.bold.white('  YOU   ');
+  if (kind === 'race' && ratingDelta(playerCar) != null) {
+    const d = ratingDelta(playerCar);
+    line += chalk.gray('iRating ') + chalk.white(String(playerCar.iRating)) + chalk.gray(' → ') +
+            (d >= 0 ? theme.good.bold : theme.bad.bold)(`${d >= 0 ? '+' : ''}${d}`) + chalk.gray('   ');
+  }
+  line += chalk.gray('SR ') + srColor(`${Number(sr) >= 0 ? '+' : ''}${sr}`) +
+          chalk.gray(` (${laps} laps, ${incidents}x)   estimates`);
+  out.print(line);
+}
+
+// Drive-time limits from the options, in seconds.
+const DRIVE_LIMITS = {
+  maxStint:     options.maxStint     != null ? options.maxStint * 60     : null,
+  minDriveTime: options.minDriveTime != null ? options.minDriveTime * 60 : null,
+  maxDriveTime: options.maxDriveTime != null ? options.maxDriveTime * 60 : null,
+};
+const STINT_WARNING = options.stintWarning * 60;
+
+/**
+ * The player car's drive time against the limits, for the team panel and
+ * the stintLimit alert: the drive-time record plus { limits, warning }.
+ * null outside team events.
+ */
+function playerTeam(model) {
+  const drive = model.teamRacing ? model.playerCar?.drive : null;
+  if (!drive) return null;
+  return { ...drive, limits: driveTimeLimits(drive, DRIVE_LIMITS), warning: STINT_WARNING };
+}
+
+/**
+ * Team panel (team events only): the current driver's stint against the
+ * maximum and every driver's total against the minimum / maximum.  Times
+ * turn to the warning colour inside the warning window and to bad once over.
+ *
+ *   TEAM  Team Velocity   Stint Ana Silva 0:52:10 / 1:00:00   Swaps 3
+ *         Drive time  Ana Silva 2:10:05   Ben Ode 1:40:00 (min 2:00:00)
+ */
+function renderTeamPanel(out, model) {
+  const team = playerTeam(model);
+  if (!team) return;
+  const { limits } = team;
+  const left = (remaining) => (remaining == null ? chalk.white
+                             : remaining < 0 ? theme.bad.bold
+                             : remaining <= STINT_WARNING ? theme.warn.bold
+                             : theme.good);
+
+  let line = chalk.bold.white('  TEAM  ') + chalk.white(model.playerCar.team || '--') +
+             chalk.gray('   Stint ') + chalk.white(team.driverName + ' ') +
+             left(limits.stintLeft)(formatClock(team.stintTime));
+  if (DRIVE_LIMITS.maxStint != null) line += chalk.gray(` / ${formatClock(DRIVE_LIMITS.maxStint)}`);
+  line += chalk.gray('   Swaps ') + chalk.white(String(team.swaps));
+  out.print(line);
+
+  const totals = team.drivers.map((d) => {
+    const remaining = d.id === team.driverId ? limits.totalLeft : null;
+    const under     = limits.short.some(s => s.id === d.id);
+    const style     = under ? theme.warn : left(remaining);
+    return chalk.white(d.name + ' ') + style(formatClock(d.total));
+  });
+  const bounds = [
+    DRIVE_LIMITS.minDriveTime != null ? `min ${formatClock(DRIVE_LIMITS.minDriveTime)}` : null,
+    DRIVE_LIMITS.maxDriveTime != null ? `max ${formatClock(DRIVE_LIMITS.maxDriveTime)}` : null,
+  ].filter(Boolean).join(', ');
+  out.print(chalk.gray('        Drive time  ') + totals.join('   ') + (bounds ? chalk.gray(`   (${bounds})`) : ''));
+}
+
+// Drivers listed in the history panel's head-to-head line.
+const HEAD_TO_HEAD_SHOWN = 4;
+
+/** Identifies the session in the history store (see lib/history.js). */
+function historyKey(si, sessionNum) {
+  return `${si?.WeekendInfo?.SubSessionID ?? 0}:${sessionNum}`;
+}
+
+/** The other drivers in the player's class, who head-to-heads are kept against. */
+function classRivals(cars, playerCar) {
+  return cars.filter(c => !c.isPlayer && c.userId && c.carClass === playerCar.carClass);
+}
+
+/**
+ * History panel: the player's personal best at this track in this car from
+ * earlier sessions, today's laps against it, and the record against drivers
+ * in the field who have been raced before.
+ *
+ *   HISTORY  PB 1:41.905 (2026-10-02)   Last 1:42.217 +0.312   Best today 1:42.010 +0.105   6 sessions
+ *            Met before  Marco Bianchi 3–1   Sofia Esposito 0–2
+ */
+function renderHistoryPanel(out, model) {
+  const { si, sessionNum, cars, playerCar } = model;
+  const combo = historyStore && playerCar ? comboOf(si) : null;
+  if (!combo) return;
+
+  const record = historyStore.load(combo);
+  const key    = historyKey(si, sessionNum);
+  const past   = record.sessions.filter(s => s.key !== key);
+  const label  = chalk.bold.white('  HISTORY  ');
+  if (past.length === 0) {
+    out.print(label + chalk.gray(`First session recorded at ${combo.track} in the ${combo.car}`));
+    return;
+  }
+
+  const pb    = personalBest(record, key);
+  const delta = (time) => {
+    const d = time - pb.time;
+    return (d <= 0 ? theme.good : theme.bad)(`${d <= 0 ? '' : '+'}${d.toFixed(3)}`);
+  };
+  let line = label;
+  if (pb) {
+    line += chalk.gray('PB ') + chalk.magenta.bold(formatTime(pb.time)) + chalk.gray(` (${pb.date.slice(0, 10)})`);
+    if (playerCar.lastLap > 0) line += chalk.gray('   Last ') + chalk.white(formatTime(playerCar.lastLap)) + ' ' + delta(playerCar.lastLap);
+    if (playerCar.bestLap > 0) line += chalk.gray('   Best today ') + chalk.white(formatTime(playerCar.bestLap)) + ' ' + delta(playerCar.bestLap);
+  }
+  line += chalk.gray(`   ${past.length} session${past.length === 1 ? '' : 's'}`);
+  out.print(line);
+
+  const met = headToHead(record, classRivals(cars, playerCar), key).slice(0, HEAD_TO_HEAD_SHOWN);
+  if (met.length) {
+    out.print(chalk.gray('           Met before  ') + met.map(m =>
+      chalk.white(m.name + ' ') + (m.ahead >= m.behind ? theme.good : theme.bad)(`${m.ahead}–${m.behind}`),
+    ).join('   '));
+  }
+}
+
+// Cars shown on each side of the reference car in the relative view.
+const RELATIVE_CARS = 5;
+
+/**
+ * Relative view: the cars physically closest to `ref` on track, whatever
+ * their race position, like iRacing's own Relative black box.  Cars ahead on
+ * track are listed above the reference car, cars behind below it.
+ *
+ * Colour coding follows the sim: a car laps ahead of the reference (one that
+ * is about to lap it, or is racing a lap up) is red, a car laps down is blue.
+ * Cars of another class carry their class tag in the class colour.
+ */
+function renderRelative(out, cars, ref, tel, si, multiClass) {
+  if (!ref) return;
+  const lapTime = paceOf(ref) ?? parseFloat(si?.DriverInfo?.DriverCarEstLapTime);
+  const rows    = relativeOrder({
+    cars,
+    ref,
+    estTime: tel.CarIdxEstTime ?? [],
+    lapTime,
+    count:   RELATIVE_CARS,
+  });
+
+  out.print(
+    chalk.bold.white(`  Relative — #${ref.number} ${ref.name}`) +
+    chalk.gray(`   ${RELATIVE_CARS} cars ahead / behind on track`)
+  );
+
+  const table = new Table({
+    head:      ['Pos', '#', 'Driver', 'Class', 'Gap', 'Lap', 'Last Lap', 'Lic', 'iR'].map(h => chalk.bold.white(h)),
+    colWidths: [6, 6, 24, 8, 10, 6, 11, 4, 7],
+    colAligns: ['right', 'right', 'left', 'left', 'right', 'center', 'right', 'left', 'right'],
+    chars:     TABLE_CHARS,
+    style:     { head: [], border: [], compact: true },
+  });
+
+  for (const { car, gap, lapDiff } of rows) {
+    const isRef     = car === ref;
+    const otherCls  = multiClass && car.carClass !== ref.carClass;
+    const lapColor  = lapDiff > 0 ? chalk.red : lapDiff < 0 ? chalk.blue : chalk.white;
+    const textColor = isRef ? chalk.yellow.bold : lapColor;
+    const livePos   = cars.indexOf(car) + 1;
+
+    let gapStr = chalk.gray('--');
+    if (isRef) gapStr = '';
+    else if (gap != null) gapStr = textColor(`${gap >= 0 ? '+' : ''}${gap.toFixed(1)}`);
+
+    const name = ((isRef ? '▶ ' : '') + car.name).padEnd(22).slice(0, 22);
+    table.push([
+      textColor(`P${livePos}`),
+      textColor(`#${car.number}`),
+      car.onPitRoad ? chalk.gray(name) : textColor(name),
+      otherCls ? classColor(car).bold(car.carClass.slice(0, 6)) : chalk.gray(car.carClass.slice(0, 6)),
+      gapStr,
+      lapDiff === 0 ? '' : lapColor.bold(`${lapDiff > 0 ? '+' : ''}${lapDiff}L`),
+      formatTime(car.lastLap),
+      licenseCell(car.licString),
+      car.iRating > 0 ? chalk.white(String(car.iRating)) : chalk.gray('--'),
+    ]);
+  }
+  out.print(table.toString());
+}
+
+// ─── Columns ──────────────────────────────────────────────────────────────────
+
+/**
+ * Standings table columns.  Each entry gives the header, width, alignment and
+ * a cell(car, ctx, width) function, plus optionally a `narrow` width the
+ * column can be squeezed to on a small terminal (see fitColumns()).  ctx
+ * carries per-row display state:
+ *   livePos      – position in the live running order (1-based)
+ *   p            – true for the player's car (drawn in yellow)
+ *   color        – chalk function for the position colour
+ *   selected     – true for the car the keyboard selection is on
+ *   sessionTime  – current SessionTime, for live timers
+ *   gap / gapPos – gap and position to show in the Gap column (overall or
+ *                  in-class depending on the layout)
+ *   interval     – interval info for the car ahead, same overall / in-class
+ *                  choice as the gap
+ *   bestGap      – timed sessions: best lap minus the fastest best lap,
+ *                  again overall or in-class
  */
-function getCarFlagCell(raw) {
-  // Unwrap array — SDK returns [] or ["FlagName"]
-  const flags = Array.isArray(raw) ? raw.map(s => String(s).toLowerCase()) : [];
-  if (flags.length === 0) return '';
-
-  const has = (str) => flags.some(f => f.includes(str));
-
-  if (has('disqualif'))             return chalk.bgRed.white.bold(' DQ ');
-  if (has('black'))                 return chalk.bgRed.white.bold(' BLK');
-  if (has('repair'))                    return chalk.bgYellow.black.bold('MBAL');
-  if (has('blue'))                  return chalk.blue.bold('BLUE');
-  if (has('furled'))                return chalk.yellow.bold('WARN');
-  return '';
+const COLUMNS = {
+  pos: {
+    head: 'Pos', width: 6, align: 'right',
+    cell: (car, { livePos, p, color, selected }) => {
+      const posStr = `P${livePos}`;
+      if (selected) return chalk.inverse.bold(posStr);
+      return p ? chalk.yellow.bold(posStr) : color(posStr);
+    },
+  },
+  class: {
+    head: 'Class', width: 8, align: 'left',
+    cell: car => classColor(car)(car.carClass.slice(0, 6)),
+  },
+  cls: {
+    head: 'Cls', width: 5, align: 'right',
+    cell: car => classColor(car).bold(`P${car.classPos}`),
+  },
+  number: {
+    head: '#', width: 6, align: 'right',
+    cell: (car, { p }) => (p ? chalk.yellow.bold(`#${car.number}`) : chalk.yellow(`#${car.number}`)),
+  },
+  driver: {
+    head: 'Driver', width: 24, narrow: 16, align: 'left',
+    cell: (car, { p, color }, width) => {
+      const fit = text => text.padEnd(width - 2).slice(0, width - 2);
+      if (car.disconnected) return chalk.gray(fit('✕ ' + car.name));
+      if (car.stalled)      return chalk.red(fit(car.name));
+      if (p)                return chalk.yellow.bold(fit('▶ ' + car.name));
+      return color(fit(car.name));
+    },
+  },
+  team: {
+    head: 'Team', width: 20, narrow: 12, align: 'left',
+    cell: (car, { p }, width) => (p ? chalk.yellow.bold : chalk.white)((car.team ?? '').padEnd(width - 2).slice(0, width - 2)),
+  },
+  stint: {
+    // Time the current driver has been in the car (team events).
+    head: 'Stint', width: 9, align: 'right',
+    cell: car => (car.drive ? chalk.white(formatClock(car.drive.stintTime)) : chalk.gray('--')),
+  },
+  lic: {
+    head: 'Lic', width: 4, align: 'left',
+    cell: car => licenseCell(car.licString),
+  },
+  laps: {
+    head: 'Laps', width: 7, align: 'right',
+    cell: (car, { p }) => (p ? chalk.yellow.bold(String(car.laps)) : chalk.white(String(car.laps))),
+  },
+  last: {
+    head: 'Last Lap', width: 11, align: 'right',
+    // Purple when it matches the personal best (just set a PB)
+    cell: (car, { p }) => {
+      const isBestLap = car.lastLap > 0 && car.bestLap > 0 && car.lastLap === car.bestLap;
+      if (isBestLap) return chalk.magenta.bold(formatTime(car.lastLap));
+      return p ? chalk.yellow(formatTime(car.lastLap)) : formatTime(car.lastLap);
+    },
+  },
+  best: {
+    head: 'Best Lap', width: 11, align: 'right',
+    cell: (car, { p }) => (p ? chalk.yellow(formatTime(car.bestLap)) : formatTime(car.bestLap)),
+  },
+  pace: {
+    head: 'Avg 5', width: 13, align: 'right',
+    cell: car => paceCell(car.lapStats),
+  },
+  stdDev: {
+    head: 'σ', width: 6, align: 'right',
+    cell: car => stdDevCell(car.lapStats),
+  },
+  gap: {
+    head: 'Gap', width: 12, align: 'right',
+    cell: (car, { p, gap, gapPos }) => (p ? chalk.yellow(formatGap(gap, gapPos)) : formatGap(gap, gapPos)),
+  },
+  interval: {
+    head: 'Int', width: 17, narrow: 15, align: 'right',
+    cell: (car, { interval }) => intervalCell(interval, !car.onPitRoad),
+  },
+  bestGap: {
+    head: 'Gap', width: 12, align: 'right',
+    cell: (car, { p, bestGap }) => {
+      if (bestGap === 0) return chalk.magenta.bold('Fastest');
+      if (bestGap == null) return chalk.gray('--');
+      return p ? chalk.yellow(formatGap(bestGap)) : formatGap(bestGap);
+    },
+  },
+  since: {
+    head: 'Last Run', width: 10, align: 'right',
+    cell: car => (car.sinceLap != null ? chalk.white(formatClock(car.sinceLap)) + chalk.gray(' ago') : chalk.gray('--')),
+  },
+  phase: {
+    head: 'Run', width: 6, align: 'center',
+    cell: car => phaseCell(car.phase),
+  },
+  pit: {
+    head: 'Pit', width: 10, align: 'left',
+    cell: (car, { sessionTime }) => pitCell(car.pit, sessionTime),
+  },
+  track: {
+    // Squeezed, the bar goes and only the percentage is left.
+    head: 'Track %', width: 14, narrow: 9, align: 'right',
+    cell: (car, { p }, width) => {
+      const text = width < 14 ? `${(Math.max(0, Math.min(1, car.distPct)) * 100).toFixed(0)}%` : lapBar(car.distPct);
+      return p ? chalk.yellow(text) : chalk.blue(text);
+    },
+  },
+  sectors: {
+    head: 'Sectors', width: 11, align: 'left',
+    cell: car => sectorStatus(car),
+  },
+  flag: {
+    head: 'Flag', width: 6, align: 'center',
+    cell: car => getCarFlagCell(car.carFlag),
+  },
+  inc: {
+    head: 'Inc', width: 9, align: 'right',
+    cell: car => incidentCell(car),
+  },
+  iR: {
+    head: 'iR', width: 7, align: 'right',
+    cell: (car, { p }) => {
+      if (!(car.iRating > 0)) return chalk.gray('--');
+      return p ? chalk.yellow.bold(String(car.iRating)) : chalk.white(String(car.iRating));
+    },
+  },
+  proj: {
+    // Projected finishing position and the places it gains or loses.
+    head: 'Proj', width: 9, align: 'right',
+    cell: (car, { livePos }) => {
+      const proj = car.projected;
+      if (!proj) return chalk.gray('--');
+      const moved = livePos - proj.position;
+      const arrow = moved > 0 ? theme.good(` ▲${moved}`) : moved < 0 ? theme.bad(` ▼${-moved}`) : '';
+      return chalk.white(`P${proj.position}`) + arrow;
+    },
+  },
+  iRDelta: {
+    // Projected for the finish while the race runs, see raceFinish().
+    head: 'Δ iR', width: 8, align: 'right',
+    // Green/red by direction; yellow-bold for the player
+    cell: (car, { p }) => {
+      const delta = ratingDelta(car);
+      if (delta == null) return chalk.gray('--');
+      const sign   = delta >= 0 ? '+' : '';
+      const dStr   = `${sign}${delta}`;
+      const dColor = delta >= 0 ? theme.good.bold : theme.bad.bold;
+      return p ? chalk.yellow.bold(dStr) : dColor(dStr);
+    },
+  },
+};
+
+// Default column order per session kind.  Class columns only appear in
+// multiclass sessions and the run state only in lone qualifying, wherever they
+// are listed.
+const RACE_COLUMNS  = ['pos', 'class', 'cls', 'number', 'team', 'driver', 'stint', 'lic', 'laps', 'last', 'best', 'pace',
+                       'stdDev', 'gap', 'interval', 'proj', 'pit', 'track', 'sectors', 'flag', 'inc', 'iR', 'iRDelta'];
+const TIMED_COLUMNS = ['pos', 'class', 'cls', 'number', 'team', 'driver', 'stint', 'lic', 'phase', 'laps', 'last', 'best',
+                       'bestGap', 'since', 'pace', 'stdDev', 'pit', 'track', 'sectors', 'flag', 'inc', 'iR'];
+
+// Column lists from the config file / command line must name real columns.
+for (const key of [...(options.columns ?? []), ...(options.timedColumns ?? [])]) {
+  if (!COLUMNS[key]) {
+    console.error(chalk.red(`Unknown column "${key}".  Columns: ${Object.keys(COLUMNS).join(', ')}`));
+    process.exit(1);
+  }
 }
 
 /**
- * Colour a license string (e.g. "A 4.32") by license class letter.
- * R=rookie(red), D=blue, C=orange, B=green, A=light-blue, P/WC=black on gold.
+ * Table columns for a session kind.  Races show the running order with gaps,
+ * intervals and projected iRating changes; practice and qualifying show the
+ * lap-time ranking instead.  Either list can be replaced from the config.
  */
-function licenseCell(licStr) {
-  if (!licStr) return chalk.gray('--');
-  const letter = licStr.trim().charAt(0).toUpperCase();
-  const label  = letter; // just the class letter
-  switch (letter) {
-    case 'R': return chalk.red.bold(label);
-    case 'D': return chalk.blue.bold(label);
-    case 'C': return chalk.hex('#FFA500').bold(label);
-    case 'B': return chalk.green.bold(label);
-    case 'A': return chalk.cyan.bold(label);
-    case 'P': return chalk.bgYellow.black.bold(label);
-    default:  return chalk.white(label);
-  }
+function tableKeys(kind, multiClass, grouped, teamRacing) {
+  const keys = kind === 'race'
+    ? options.columns ?? RACE_COLUMNS
+    : options.timedColumns ?? TIMED_COLUMNS;
+  return keys.filter((key) => {
+    if (key === 'class') return multiClass && !grouped;
+    if (key === 'cls')   return multiClass;
+    if (key === 'phase') return kind === 'lone';
+    if (key === 'team' || key === 'stint') return teamRacing;
+    return true;
+  });
 }
 
-/** Pick a chalk colour function based on overall position. */
-function posColor(pos) {
-  if (pos === 1) return chalk.green.bold;
-  if (pos === 2) return chalk.cyan.bold;
-  if (pos === 3) return chalk.yellow.bold;
-  return chalk.white;
-}
+// Columns given up, most expendable first, when the table is wider than the
+// terminal even with every column squeezed to its narrow width.  Position,
+// number, driver and gap are never dropped.
+const DROP_ORDER = ['sectors', 'iR', 'lic', 'track', 'iRDelta', 'stdDev', 'proj', 'since', 'stint', 'pace', 'team',
+                    'class', 'inc', 'phase', 'last', 'pit', 'flag', 'interval', 'laps', 'cls', 'best'];
 
 /**
- * Render a compact progress bar showing how far along the current lap a car is.
- * e.g.  "████░░ 72%"
+ * The columns for `keys` that fit in `width` terminal columns: all of them
+ * at full width if they fit, else squeezed to their narrow widths, then
+ * dropping columns in DROP_ORDER until the table fits.
  */
-function lapBar(pct) {
-  const clamped = Math.max(0, Math.min(1, pct));
-  const filled  = Math.round(clamped * 6);
-  const bar     = '█'.repeat(filled) + '░'.repeat(6 - filled);
-  return `${bar} ${(clamped * 100).toFixed(0).padStart(3)}%`;
+function fitColumns(keys, width) {
+  // cli-table3 draws a border before every column and one after the last.
+  const tableWidth = cols => cols.reduce((sum, c) => sum + c.width + 1, 1);
+  let columns = keys.map(k => ({ key: k, ...COLUMNS[k] }));
+  if (tableWidth(columns) <= width) return columns;
+
+  columns = columns.map(c => (c.narrow ? { ...c, width: c.narrow } : c));
+  for (const key of DROP_ORDER) {
+    if (tableWidth(columns) <= width) break;
+    columns = columns.filter(c => c.key !== key);
+  }
+  return columns;
 }
 
-// ─── Render ───────────────────────────────────────────────────────────────────
+/** What a column's cell() gets besides the car – see COLUMNS. */
+function cellContext(car, cars, tel, grouped, selected) {
+  const livePos = cars.indexOf(car) + 1;
+  return {
+    livePos,
+    p:           car.isPlayer,
+    color:       posColor(livePos),
+    selected:    car === selected,
+    sessionTime: tel.SessionTime,
+    // Grouped view measures gaps to the class leader, the overall view to
+    // the race leader.
+    gap:         grouped ? car.classGap : car.gap,
+    gapPos:      grouped ? car.classPos : livePos,
+    bestGap:     grouped ? car.classBestGap : car.bestGap,
+    interval:    grouped ? car.classInterval : car.interval,
+  };
+}
 
-function render() {
-  // Hide cursor + jump to top-left without blanking the screen first.
-  // Writing over existing content and then clearing the tail (ESC[J) avoids
-  // the blank-frame flash that ESC[c (full terminal reset) causes.
-  process.stdout.write('\x1B[?25l\x1B[H');
+// ─── Standings ────────────────────────────────────────────────────────────────
 
-  // ── Waiting state ──────────────────────────────────────────────────────────
-  if (!isConnected || !currentTelemetry || !currentSessionInfo) {
-    const dots = '.'.repeat((dotCount % 3) + 1).padEnd(3, ' ');
-    dotCount++;
-    console.log(
-      chalk.bold.yellow('\n  iRacing Live Telemetry') +
-      chalk.gray(`  v${pkg.version}`)
-    );
-    console.log(chalk.gray('  ─'.repeat(30)));
-    console.log(chalk.yellow(`\n  Waiting for iRacing${dots}\n`));
-    console.log(chalk.gray('  • Start iRacing and load into a session.'));
-    console.log(chalk.gray('  • This app reads from the Windows shared memory file'));
-    console.log(chalk.gray('    (Local\\IRSDKMemMapFileName) via iracing-sdk-js.'));
-    console.log(chalk.gray('\n  Press Ctrl+C to exit.\n'));
-    process.stdout.write('\x1B[J\x1B[?25h');
-    return;
+// The last model built and the samples it was built from.  The alerts, the
+// display, --serve and the reports all ask for the standings; between two
+// telemetry samples they get the same model rather than a rebuilt one.
+let standingsCache = { telemetry: null, sessionInfo: null, model: null };
+
+/**
+ * Work out the standings from the latest telemetry and session info: one row
+ * per car in display order, with live and class positions, gaps, intervals,
+ * pit and lap history and iRating deltas filled in.  This is the model the
+ * table, the other views and the --serve API are all drawn from.  Returns
+ * null while there is nothing to show (not connected, no session yet).
+ * Treat it as read-only – it is shared until the next sample arrives.
+ */
+function buildStandings() {
+  if (!isConnected || !currentTelemetry || !currentSessionInfo) return null;
+  if (standingsCache.telemetry === currentTelemetry && standingsCache.sessionInfo === currentSessionInfo) {
+    return standingsCache.model;
   }
 
   // SDK emits { timestamp, data } for session info and { values } for telemetry.
@@ -216,6 +1659,10 @@ function render() {
   const session    = sessions[sessionNum] ?? sessions[0] ?? {};
 
   const sessionType = session.SessionType ?? 'Unknown';
+  const kind        = sessionKind(sessionType);
+
+  // Team events put a team in each car; UserName is whoever is driving it now.
+  const teamRacing = Number(si?.WeekendInfo?.TeamRacing) === 1;
 
   // SessionLaps: lap limit ("unlimited" when iRacing sets it to 32767)
   const totalLaps = (session.SessionLaps && session.SessionLaps !== '32767')
@@ -227,17 +1674,9 @@ function render() {
 
   // SessionTimeRemain: seconds left in the session.
   // iRacing sets this to 604800 (one week) for non-timed sessions.
-  const timeRemain    = tel.SessionTimeRemain;
-  const timeRemainStr = (timeRemain && timeRemain < 604800)
-    ? (() => {
-        const h = Math.floor(timeRemain / 3600);
-        const m = Math.floor((timeRemain % 3600) / 60);
-        const s = Math.floor(timeRemain % 60);
-        return h > 0
-          ? `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`
-          : `${m}:${String(s).padStart(2, '0')}`;
-      })()
-    : chalk.gray('N/A');
+  const timeRemain = (tel.SessionTimeRemain && tel.SessionTimeRemain < 604800)
+    ? tel.SessionTimeRemain
+    : null;
 
   // ── Driver lookup ──────────────────────────────────────────────────────────
   // DriverInfo.Drivers is an array of driver records.  CarIdx is the index
@@ -258,9 +1697,9 @@ function render() {
   // CarIdxLastLapTime[i] – last completed lap time in seconds (−1 = no lap yet)
   // CarIdxBestLapTime[i] – personal best lap time in seconds (−1 = no lap yet)
   // CarIdxF2Time[i]      – time behind leader or car ahead, in seconds
+  // CarIdxOnPitRoad[i]   – true between pit entry and pit exit
 
   const playerCarIdx    = tel.PlayerCarIdx        ?? -1;
-  const playerIncidents = tel.PlayerCarMyIncidents ?? 0;
 
   const idxPos      = tel.CarIdxPosition        ?? [];
   const idxClassPos = tel.CarIdxClassPosition    ?? [];
@@ -270,6 +1709,7 @@ function render() {
   const idxBestLap  = tel.CarIdxBestLapTime      ?? [];
   const idxGap      = tel.CarIdxF2Time           ?? [];
   const idxCarFlags = tel.CarIdxSessionFlags     ?? [];
+  const idxOnPit    = tel.CarIdxOnPitRoad        ?? [];
 
   const cars = [];
   const seenIdx = new Set();
@@ -291,14 +1731,24 @@ function render() {
     if (disconnected) {
       // Driver closed iRacing – use last known state so they stay on the board
       if (!carCache[idx]) continue;
-      cars.push({ ...carCache[idx], disconnected: true });
+      cars.push({
+        ...carCache[idx],
+        pit:      pitTracker.get(idx),
+        lapStats: stintStats(lapTracker.get(idx)),
+        sectors:  sectorTracker.get(idx),
+        drive:    teamRacing ? driveTimeTracker.get(idx) : null,
+        projected: null,
+        disconnected: true,
+      });
       continue;
     }
 
     const pos = idxPos[idx] ?? 0;
 
-    // A car is considered "off" if it stopped mid-lap and has laps > 0
-    const stalled = distPct < 0.001 && (idxLap[idx] ?? 0) > 0;
+    // A car is considered "off" if it stopped mid-lap and has laps > 0.
+    // Cars on pit road are stopping on purpose, not stalled.
+    const onPitRoad = Boolean(idxOnPit[idx]);
+    const stalled   = !onPitRoad && distPct < 0.001 && (idxLap[idx] ?? 0) > 0;
 
     const carRow = {
       idx,
@@ -307,32 +1757,47 @@ function render() {
       name:       String(driver.UserName   ?? `Car #${idx}`),
       number:     String(driver.CarNumber        ?? idx),
       carClass:   String(driver.CarClassShortName ?? ''),
+      classColor: parseClassColor(driver.CarClassColor),
       laps:       idxLap[idx]             ?? 0,
       distPct,
       lastLap:    idxLastLap[idx],
       bestLap:    idxBestLap[idx],
       gap:        idxGap[idx],
       stalled,
+      onPitRoad,
+      pit:        pitTracker.get(idx), // stop count / lane timings, see lib/pits.js
+      lapStats:   stintStats(lapTracker.get(idx)), // stint averages, σ, trend
+      sectors:    sectorTracker.get(idx),          // sector times, see lib/sectors.js
       isPlayer:   idx === playerCarIdx,
       iRating:    parseInt(driver.IRating ?? 0, 10),
       iRatingDelta: null, // filled in by calcIRatingDeltas()
+      projected:  null,   // projected finish, filled in by raceFinish()
       carFlag:    idxCarFlags[idx] ?? null,
       licString:  String(driver.LicString ?? ''),
+      userId:     driver.UserID != null ? String(driver.UserID) : null,
+      team:       teamRacing ? String(driver.TeamName ?? '') : null,
+      drive:      teamRacing ? driveTimeTracker.get(idx) : null, // driver swaps / drive time, see lib/teams.js
+      incidents:  incidentCount(driver),
+      newIncidents: incidentTracker.recent(idx, tel.SessionTime, INCIDENT_FLASH), // points in the last few seconds
       disconnected: false,
     };
     carCache[idx] = carRow; // keep cache up to date
     cars.push(carRow);
   }
 
-  // Always sort by total track progress (laps completed + fractional lap) so
+  // Races sort by total track progress (laps completed + fractional lap) so
   // positions update in real time as cars move around the track.
   // CarIdxPosition only refreshes at lap crossings so it cannot be used for
-  // live ordering.
-  cars.sort((a, b) => {
-    const aP = (a.laps ?? 0) + (a.distPct ?? 0);
-    const bP = (b.laps ?? 0) + (b.distPct ?? 0);
-    return bP - aP;
-  });
+  // live ordering.  Every other session ranks by best lap – see lib/session.js.
+  if (kind === 'race') {
+    cars.sort((a, b) => {
+      const aP = (a.laps ?? 0) + (a.distPct ?? 0);
+      const bP = (b.laps ?? 0) + (b.distPct ?? 0);
+      return bP - aP;
+    });
+  } else {
+    cars.sort(compareBestLap);
+  }
 
   // Recalculate class positions from the sorted order so they're always correct,
   // regardless of what CarIdxClassPosition reports (which mirrors overall pos in
@@ -349,42 +1814,377 @@ function render() {
   const uniqueClasses = new Set(cars.map(c => c.carClass || '__default__'));
   const multiClass = uniqueClasses.size > 1;
 
-  // Estimate iRating deltas for all classified cars.
-  calcIRatingDeltas(cars);
+  // Gap to the class leader, for the grouped layout.
+  const classLeaders = {};
+  for (const car of cars) {
+    const cls = car.carClass || '__default__';
+    classLeaders[cls] = classLeaders[cls] ?? car;
+    car.classGap = classGap(car, classLeaders[cls]);
+  }
+
+  // Timed sessions: gap from each best lap to the fastest one, overall and
+  // in class, and how long ago the car last completed a lap.
+  if (kind !== 'race') {
+    for (const car of cars) {
+      const leader = classLeaders[car.carClass || '__default__'];
+      car.bestGap      = bestLapGap(car, cars[0]);
+      car.classBestGap = bestLapGap(car, leader);
+      const laps = lapTracker.get(car.idx);
+      car.sinceLap = laps.length ? tel.SessionTime - laps[laps.length - 1].endedAt : null;
+      if (kind === 'lone') {
+        car.phase = car.disconnected ? null : qualifyPhase({
+          laps,
+          current:   lapTracker.inProgress(car.idx),
+          onPitRoad: car.onPitRoad,
+          inWorld:   car.pit.inWorld,
+        });
+      }
+    }
+  }
+
+  // Session-best sectors for the purple marks: the whole field's, or each
+  // class's own when options.sectorBest is 'class'.
+  const fieldBest = bestSectors(cars.map(c => c.sectors));
+  for (const cls of uniqueClasses) {
+    const members = cars.filter(c => (c.carClass || '__default__') === cls);
+    const best    = options.sectorBest === 'class' ? bestSectors(members.map(c => c.sectors)) : fieldBest;
+    for (const car of members) car.sessionBestSectors = best;
+  }
+
+  // Interval to the car directly ahead – overall, and within the class for
+  // the grouped layout – from the checkpoint timing history.  Only races have
+  // a car "ahead" on the road.
+  const classAhead = {};
+  if (kind === 'race') cars.forEach((car, i) => {
+    const cls   = car.carClass || '__default__';
+    const ahead = cars[i - 1];
+    car.interval      = ahead ? intervalTracker.interval(car.idx, ahead.idx) : null;
+    car.classInterval = classAhead[cls] ? intervalTracker.interval(car.idx, classAhead[cls].idx) : null;
+    classAhead[cls]   = car;
+  });
+
+  // Estimate iRating deltas.  iRacing rates each class as its own race, so
+  // drivers are only ever compared against their own class.
+  for (const cls of uniqueClasses) {
+    calcIRatingDeltas(cars.filter(c => (c.carClass || '__default__') === cls));
+  }
 
   const playerCar = cars.find(c => c.isPlayer);
+  const finish    = kind === 'race' ? raceFinish(tel, session, cars, playerCar) : null;
+
+  // Race control log.  The detector only reports differences from the model
+  // it saw last, so a rebuild of the same sample can't log anything twice.
+  for (const event of eventDetector.update({ tel, kind, cars })) eventLog.push(event);
+
+  const model = {
+    tel, si, session, sessionNum, sessions, sessionType, kind,
+    totalLaps, playerLap, timeRemain, drivers, cars, multiClass, teamRacing, playerCar, finish,
+  };
+  standingsCache = { telemetry: currentTelemetry, sessionInfo: currentSessionInfo, model };
+  return model;
+}
+
+/**
+ * Final classification and lap histories for lib/report.js, in the order the
+ * table shows them.
+ */
+function buildReport(model) {
+  const { si, sessionNum, sessionType, cars } = model;
+  const wi   = si?.WeekendInfo ?? {};
+  const laps = {};
+  for (const car of cars) {
+    laps[car.idx] = lapTracker.get(car.idx).map(l => ({ lap: l.lap, time: ms(l.time), pit: l.pit, endedAt: ms(l.endedAt) }));
+  }
+
+  return {
+    app:         pkg.name,
+    version:     pkg.version,
+    generatedAt: new Date().toISOString(),
+    session: {
+      type:         sessionType,
+      track:        wi.TrackDisplayName ?? wi.TrackName ?? 'Unknown track',
+      subSessionId: wi.SubSessionID ?? null,
+      sessionNum,
+      sof:          calcSOF(cars),
+    },
+    classification: cars.map((car, i) => ({
+      position:      i + 1,
+      classPosition: car.classPos,
+      carIdx:        car.idx,
+      carClass:      car.carClass,
+      classColor:    car.classColor,
+      number:        car.number,
+      team:          car.team,
+      driver:        car.name,
+      license:       car.licString,
+      iRating:       car.iRating > 0 ? car.iRating : null,
+      iRatingDelta:  car.iRatingDelta,
+      laps:          car.laps,
+      bestLap:       car.bestLap > 0 ? ms(car.bestLap) : null,
+      lastLap:       car.lastLap > 0 ? ms(car.lastLap) : null,
+      gap:           model.kind === 'race' ? ms(car.gap) : ms(car.bestGap),
+      incidents:     car.incidents,
+      pitStops:      car.pit.stops,
+      driveTimes:    car.drive ? car.drive.drivers.map(d => ({ driver: d.name, time: ms(d.total) })) : null,
+    })),
+    laps,
+  };
+}
+
+/**
+ * Save the CSV / JSON / HTML report for the session on screen.  Returns the
+ * files written, or null when there is nothing to report.  A failure (full
+ * disk, read-only directory) is shown in the footer instead of being thrown
+ * – losing the report must not take the display down with it.
+ */
+function saveReport() {
+  const model = buildStandings();
+  if (!model || model.cars.length === 0) return null;
+  try {
+    const files = writeReports(options.reportDir, buildReport(model));
+    showNotice(chalk.green('Report saved: ') + chalk.white(files.html));
+    return files;
+  } catch (err) {
+    showNotice(chalk.red(`Could not save report: ${err.message}`));
+    return null;
+  }
+}
+
+/**
+ * Add the finished session to the player's history at this track / car
+ * combination.  Called with the report at cool-down only – a session quit
+ * half way has no result to keep – and never for a replay, which would
+ * overwrite the real session's entry (same key) with whatever point it
+ * reached.  Returns the file written, or null when there is nothing to
+ * record (history off, replay, no player car, no laps).
+ */
+function saveHistory() {
+  const model = historyStore && !options.replay ? buildStandings() : null;
+  const me    = model?.playerCar;
+  const combo = me ? comboOf(model.si) : null;
+  const laps  = me ? lapTracker.get(me.idx) : [];
+  if (!combo || laps.length === 0) return null;
+
+  const { tel, si, sessionNum, kind, cars, multiClass } = model;
+  try {
+    return historyStore.save(combo, {
+      key:           historyKey(si, sessionNum),
+      date:          new Date().toISOString(),
+      type:          kind,
+      subSessionId:  si?.WeekendInfo?.SubSessionID ?? null,
+      sessionNum,
+      laps:          laps.map(l => ms(l.time)),
+      bestLap:       me.bestLap > 0 ? ms(me.bestLap) : null,
+      position:      cars.indexOf(me) + 1,
+      classPosition: multiClass ? me.classPos : null,
+      starters:      cars.length,
+      iRatingDelta:  me.iRatingDelta,
+      incidents:     tel.PlayerCarMyIncidents ?? me.incidents,
+      opponents:     classRivals(cars, me).map(c => ({
+        userId:        c.userId,
+        name:          c.name,
+        position:      cars.indexOf(c) + 1,
+        classPosition: multiClass ? c.classPos : null,
+      })),
+    });
+  } catch (err) {
+    showNotice(chalk.red(`Could not save session history: ${err.message}`));
+    return null;
+  }
+}
+
+/** Round seconds to milliseconds for the JSON output; null / undefined stay null. */
+function ms(seconds) {
+  return seconds != null ? Math.round(seconds * 1000) / 1000 : null;
+}
+
+/**
+ * The standings as plain JSON for --serve: the same numbers the table shows,
+ * with times in seconds and lapped gaps as { laps } instead of the N × 3600
+ * encoding.  Positions are the live ones the app computes, not
+ * CarIdxPosition.
+ */
+function standingsSnapshot() {
+  const model = buildStandings();
+  const base  = { app: pkg.name, version: pkg.version, updatedAt: new Date().toISOString() };
+  if (!model) return { ...base, connected: isConnected, session: null, cars: [] };
+
+  const { tel, sessionNum, sessionType, kind, totalLaps, timeRemain, cars, multiClass, finish } = model;
+  const gapJson = g => (g == null || g < 0 ? null : g >= 3600 ? { laps: Math.round(g / 3600) } : ms(g));
+
+  const classes = classOrder(cars).map((cls) => {
+    const members = cars.filter(c => (c.carClass || '__default__') === cls);
+    return { name: cls, color: members[0].classColor, cars: members.length, sof: calcSOF(members) };
+  });
+
+  return {
+    ...base,
+    connected: true,
+    session: {
+      num:         sessionNum,
+      type:        sessionType,
+      kind,
+      time:        ms(tel.SessionTime),
+      timeRemain:  ms(timeRemain),
+      lap:         tel.Lap ?? null,
+      totalLaps:   totalLaps === '∞' ? null : Number(totalLaps),
+      flags:       tel.SessionFlags ?? [],
+      sof:         calcSOF(cars),
+      multiClass,
+      classes,
+      finish:      finish
+        ? {
+          timed:          finish.timed,
+          finishLap:      finish.finishAt,
+          leaderLapsToGo: finish.leaderLapsToGo,
+          playerLapsToGo: finish.carLapsToGo,
+          playerLapsDown: finish.carLapsDown,
+          leaderTimeToGo: ms(finish.leaderTimeToGo),
+          leaderRisk:     finish.leaderRisk,
+          playerRisk:     finish.carRisk,
+        }
+        : null,
+    },
+    cars: cars.map((car, i) => ({
+      carIdx:       car.idx,
+      position:     i + 1,
+      classPosition: car.classPos,
+      number:       car.number,
+      team:         car.team,
+      driver:       car.name,
+      carClass:     car.carClass,
+      classColor:   car.classColor,
+      license:      car.licString,
+      iRating:      car.iRating > 0 ? car.iRating : null,
+      iRatingDelta: car.iRatingDelta,
+      projected:    car.projected,
+      isPlayer:     car.isPlayer,
+      disconnected: car.disconnected,
+      laps:         car.laps,
+      lapDistPct:   car.distPct,
+      lastLap:      car.lastLap > 0 ? ms(car.lastLap) : null,
+      bestLap:      car.bestLap > 0 ? ms(car.bestLap) : null,
+      gap:          kind === 'race' ? gapJson(car.gap)      : gapJson(car.bestGap),
+      classGap:     kind === 'race' ? gapJson(car.classGap) : gapJson(car.classBestGap),
+      interval:     car.interval
+        ? { gap: gapJson(car.interval.interval), delta: ms(car.interval.delta), battle: car.interval.battle }
+        : null,
+      incidents:    car.incidents,
+      onPitRoad:    car.onPitRoad,
+      stalled:      car.stalled,
+      flags:        car.carFlag ?? [],
+      pit: {
+        stops:       car.pit.stops,
+        lastStopLap: car.pit.lastStopLap,
+        laneTime:    ms(car.pit.lastLaneTime),
+        stallTime:   ms(car.pit.lastStallTime),
+      },
+      stint: {
+        number: car.lapStats.stint,
+        laps:   car.lapStats.stintLaps,
+        avg3:   ms(car.lapStats.avg3),
+        avg5:   ms(car.lapStats.avg5),
+        stdDev: ms(car.lapStats.stdDev),
+        trend:  ms(car.lapStats.trend),
+      },
+      phase:        car.phase ?? null,
+      driveTime:    car.drive
+        ? {
+          stint:   ms(car.drive.stintTime),
+          swaps:   car.drive.swaps,
+          drivers: car.drive.drivers.map(d => ({ driver: d.name, total: ms(d.total) })),
+        }
+        : null,
+    })),
+  };
+}
+
+// ─── Render ───────────────────────────────────────────────────────────────────
+
+/** Draw the whole display for the current view into `out`, top to bottom. */
+function drawFrame(out) {
+  const model = buildStandings();
+
+  // ── Waiting state ──────────────────────────────────────────────────────────
+  if (!model) {
+    const dots = '.'.repeat((dotCount % 3) + 1).padEnd(3, ' ');
+    dotCount++;
+    out.print(
+      chalk.bold.yellow('\n  iRacing Live Telemetry') +
+      chalk.gray(`  v${pkg.version}`)
+    );
+    out.print(chalk.gray('  ─'.repeat(30)));
+    if (options.replay) {
+      out.print(chalk.yellow(`\n  Waiting for session data in replay${dots}\n`));
+      out.print(chalk.gray(`  • Replaying ${options.replay}`));
+      out.print(chalk.gray('  • The recording has no active session at this point.'));
+      out.print('\n' + replayStatusLine() + '\n');
+    } else {
+      out.print(chalk.yellow(`\n  Waiting for iRacing${dots}\n`));
+      out.print(chalk.gray('  • Start iRacing and load into a session.'));
+      out.print(chalk.gray('  • This app reads from the Windows shared memory file'));
+      out.print(chalk.gray('    (Local\\IRSDKMemMapFileName) via iracing-sdk-js.'));
+      out.print(chalk.gray('\n  Press Ctrl+C to exit.\n'));
+    }
+    return;
+  }
+
+  const {
+    tel, si, session, sessionNum, sessions, sessionType, kind,
+    totalLaps, playerLap, timeRemain, drivers, cars, multiClass, teamRacing, playerCar,
+  } = model;
+  const timeRemainStr = timeRemain != null ? formatClock(timeRemain) : chalk.gray('N/A');
+  const idxDistPct    = tel.CarIdxLapDistPct ?? [];
+  const idxPos        = tel.CarIdxPosition   ?? [];
 
   // ── SOF calculation ────────────────────────────────────────────────────────
   // Strength of Field: average iRating of all drivers with a valid iRating.
-  const ratedCars = cars.filter(c => c.iRating > 0);
-  const sofStr = ratedCars.length > 0
-    ? String(Math.round(ratedCars.reduce((sum, c) => sum + c.iRating, 0) / ratedCars.length))
-    : chalk.gray('N/A');
+  // In multiclass sessions each class has its own SOF – pooling them would
+  // describe a field nobody is actually racing in.
+  let sofStr;
+  if (multiClass) {
+    sofStr = classOrder(cars).map((cls) => {
+      const members = cars.filter(c => (c.carClass || '__default__') === cls);
+      const sof     = calcSOF(members);
+      return classColor(members[0])(cls) + ' ' + chalk.white(sof ?? 'N/A');
+    }).join(chalk.gray(' · '));
+  } else {
+    const sof = calcSOF(cars);
+    sofStr = sof != null ? String(sof) : chalk.gray('N/A');
+  }
+
+  // Cars that have made at least one stop this session – the rest still owe one
+  // in races with a mandatory stop.
+  const pittedCount = cars.filter(c => c.pit.stops > 0).length;
 
   // ── Header ─────────────────────────────────────────────────────────────────
-  console.log(chalk.bold.cyan('  iRacing Live Telemetry'));
-  console.log(
+  renderBanners(out);
+  out.print(chalk.bold.cyan('  iRacing Live Telemetry'));
+  renderStatusBar(out, tel, si);
+  out.print(
     chalk.gray('  Session: ') + chalk.white(sessionType) +
     chalk.gray('   Lap: ')    + chalk.white(`${playerLap} / ${totalLaps}`) +
     chalk.gray('   Time remaining: ') + chalk.white(timeRemainStr) +
+    (model.finish ? chalk.gray('   Laps left: ') + chalk.white(`~${model.finish.leaderLapsToGo.toFixed(1)}`) : '') +
     chalk.gray('   Cars: ') + chalk.white(String(cars.length)) +
-    chalk.gray('   SOF: ') + chalk.white(sofStr)
+    chalk.gray('   SOF: ') + chalk.white(sofStr) +
+    chalk.gray('   Pitted: ') + chalk.white(`${pittedCount}/${cars.length}`)
   );
-  console.log(chalk.gray('  ' + '─'.repeat(100)));
+  out.print(chalk.gray('  ' + '─'.repeat(100)));
 
   if (cars.length === 0) {
-    console.log(chalk.gray('\n  No active cars found. Session may still be loading…\n'));
+    out.print(chalk.gray('\n  No active cars found. Session may still be loading…\n'));
 
     // ── Debug dump ────────────────────────────────────────────────────────────
-    console.log(chalk.yellow('  ── DEBUG INFO ──'));
-    console.log(chalk.gray('  SessionNum: ') + chalk.white(String(sessionNum)));
-    console.log(chalk.gray('  Sessions array length: ') + chalk.white(String(sessions.length)));
-    console.log(chalk.gray('  Session keys: ') + chalk.white(JSON.stringify(Object.keys(session))));
-    console.log(chalk.gray('  SessionType raw: ') + chalk.white(JSON.stringify(session.SessionType)));
-    console.log(chalk.gray('  Drivers count: ') + chalk.white(String(drivers.length)));
+    out.print(chalk.yellow('  ── DEBUG INFO ──'));
+    out.print(chalk.gray('  SessionNum: ') + chalk.white(String(sessionNum)));
+    out.print(chalk.gray('  Sessions array length: ') + chalk.white(String(sessions.length)));
+    out.print(chalk.gray('  Session keys: ') + chalk.white(JSON.stringify(Object.keys(session))));
+    out.print(chalk.gray('  SessionType raw: ') + chalk.white(JSON.stringify(session.SessionType)));
+    out.print(chalk.gray('  Drivers count: ') + chalk.white(String(drivers.length)));
     if (drivers.length > 0) {
-      console.log(chalk.gray('  First driver keys: ') + chalk.white(JSON.stringify(Object.keys(drivers[0]))));
-      console.log(chalk.gray('  First driver sample: ') + chalk.white(JSON.stringify({
+      out.print(chalk.gray('  First driver keys: ') + chalk.white(JSON.stringify(Object.keys(drivers[0]))));
+      out.print(chalk.gray('  First driver sample: ') + chalk.white(JSON.stringify({
         CarIdx: drivers[0].CarIdx,
         UserName: drivers[0].UserName,
         CarNumber: drivers[0].CarNumber,
@@ -392,106 +2192,212 @@ function render() {
       })));
     }
     const nonNullDist = idxDistPct.filter(v => v != null).length;
-    console.log(chalk.gray('  CarIdxLapDistPct non-null entries: ') + chalk.white(String(nonNullDist)));
+    out.print(chalk.gray('  CarIdxLapDistPct non-null entries: ') + chalk.white(String(nonNullDist)));
     const nonNullPos = idxPos.filter(v => v != null && v > 0).length;
-    console.log(chalk.gray('  CarIdxPosition > 0 entries: ') + chalk.white(String(nonNullPos)));
-    console.log(chalk.gray('  idxDistPct sample (first 10): ') + chalk.white(JSON.stringify(idxDistPct.slice(0, 10))));
-    console.log(chalk.gray('  idxPos sample (first 10): ') + chalk.white(JSON.stringify(idxPos.slice(0, 10))));
-    console.log(chalk.gray('  si top-level keys: ') + chalk.white(JSON.stringify(Object.keys(si ?? {}))));
-    console.log(chalk.gray('  DriverInfo keys: ') + chalk.white(JSON.stringify(Object.keys(si?.DriverInfo ?? {}))));
-    process.stdout.write('\x1B[J\x1B[?25h');
+    out.print(chalk.gray('  CarIdxPosition > 0 entries: ') + chalk.white(String(nonNullPos)));
+    out.print(chalk.gray('  idxDistPct sample (first 10): ') + chalk.white(JSON.stringify(idxDistPct.slice(0, 10))));
+    out.print(chalk.gray('  idxPos sample (first 10): ') + chalk.white(JSON.stringify(idxPos.slice(0, 10))));
+    out.print(chalk.gray('  si top-level keys: ') + chalk.white(JSON.stringify(Object.keys(si ?? {}))));
+    out.print(chalk.gray('  DriverInfo keys: ') + chalk.white(JSON.stringify(Object.keys(si?.DriverInfo ?? {}))));
+    return;
+  }
+
+  // Remember the display order so ↑/↓ can move the selection through it.
+  // The table below narrows this to the rows it actually shows.
+  lastOrder = cars.map(c => c.idx);
+
+  // ── Help overlay ───────────────────────────────────────────────────────────
+  if (showHelp) {
+    renderHelp(out);
+    printFooter(out);
+    return;
+  }
+
+  // ── Lap history drill-down ─────────────────────────────────────────────────
+  if (view === 'laps') {
+    renderLapHistory(out, selectedCar(cars));
+    printFooter(out);
+    return;
+  }
+
+  // ── Relative ───────────────────────────────────────────────────────────────
+  if (view === 'relative') {
+    renderRelative(out, cars, selectedCar(cars), tel, si, multiClass);
+    printFooter(out);
     return;
   }
 
   // ── Table ──────────────────────────────────────────────────────────────────
+  const grouped  = layout === 'class';
+  const selected = selectedCar(cars);
+  const { text, order, hidden } = drawTable(model, grouped, selected);
+  lastOrder = order.map(c => c.idx);
+
+  out.print(text);
+  if (hidden > 0) {
+    out.print(chalk.gray(grouped
+      ? `  ${hidden} more car${hidden === 1 ? '' : 's'} in the class sections  ·  ↑/↓ to scroll`
+      : `  Cars ${scrollTop + 1}–${Math.min(order.length, scrollTop + options.rows)} of ${order.length}  ·  PgUp/PgDn to scroll`));
+  }
+  if (showDetail) renderDriverDetail(out, selected, cars.indexOf(selected) + 1, kind);
+  if (showTrackMap) renderTrackMap(out, cars, si);
+  renderEventLog(out);
+  renderPlayerPanel(out, tel, playerCar, kind);
+  renderTeamPanel(out, model);
+  renderFinishPanel(out, model);
+  renderHistoryPanel(out, model);
+  renderFuelPanel(out, tel, si, session, cars, playerCar);
+  renderSectorPanel(out, playerCar);
+  printFooter(out);
+}
+
+// The last table drawn and what it showed – see drawTable().
+let tableCache = null;
+
+/** Everything besides the model that changes what the table shows. */
+function tableViewKey(grouped, selected, width) {
+  return [grouped, selected?.idx, sortKey, scrollTop, [...classScroll].join(), width].join('|');
+}
+
+/**
+ * The standings table as text, with every car in table order (for ↑/↓) and
+ * how many rows didn't fit.  Laying out the table is the most expensive part
+ * of a frame, and between telemetry samples nothing in it changes unless the
+ * view does, so the last one is reused until the model, selection, sort,
+ * scroll position or terminal width moves on.
+ */
+function drawTable(model, grouped, selected) {
+  const { tel, kind, cars, multiClass, teamRacing } = model;
+  const width = (process.stdout.columns || 120) - 1; // the screen keeps the last column free
+  if (tableCache?.model === model && tableCache.key === tableViewKey(grouped, selected, width)) {
+    return tableCache.result;
+  }
+
+  const columns = fitColumns(tableKeys(kind, multiClass, grouped, teamRacing), width);
+
   const table = new Table({
-    head: [
-      chalk.bold.white('Pos'),
-      chalk.bold.white('#'),
-      chalk.bold.white('Driver'),
-      chalk.bold.white('Lic'),
-      chalk.bold.white('Laps'),
-      chalk.bold.white('Last Lap'),
-      chalk.bold.white('Best Lap'),
-      chalk.bold.white('Gap'),
-      chalk.bold.white('Track %'),
-      chalk.bold.white('Flag'),
-      chalk.bold.white('iR'),
-      chalk.bold.white('Δ iR'),
-    ],
-    colWidths:  [6, 6, 24, 4, 7, 11, 11, 12, 14, 6, 7, 8],
-    colAligns:  ['right', 'right', 'left', 'left', 'right', 'right', 'right', 'right', 'right', 'center', 'right', 'right'],
-    chars: {
-      // Minimal border style for a cleaner look
-      top: '─', 'top-mid': '┬', 'top-left': '┌', 'top-right': '┐',
-      bottom: '─', 'bottom-mid': '┴', 'bottom-left': '└', 'bottom-right': '┘',
-      left: '│', 'left-mid': '├', mid: '─', 'mid-mid': '┼',
-      right: '│', 'right-mid': '┤', middle: '│',
-    },
-    style: { head: [], border: [], compact: false },
+    head:      columns.map(c => chalk.bold.white(c.head)),
+    colWidths: columns.map(c => c.width),
+    colAligns: columns.map(c => c.align),
+    chars:     TABLE_CHARS,
+    style:     { head: [], border: [], compact: false },
   });
 
-  const visibleCars = cars.slice(0, 25);
-
-  for (let i = 0; i < visibleCars.length; i++) {
-    const car = visibleCars[i];
-    const livePos = i + 1;
-    const color = posColor(livePos);
-    const p     = car.isPlayer;
-
-    const nameCell = car.disconnected
-      ? chalk.gray(('✕ ' + car.name).padEnd(22).slice(0, 22))
-      : car.stalled
-        ? chalk.red(car.name.padEnd(22).slice(0, 22))
-        : p
-          ? chalk.yellow.bold(('▶ ' + car.name).padEnd(22).slice(0, 22))
-          : color(car.name.padEnd(22).slice(0, 22));
-
-    // iRating cell
-    const iRCell = car.iRating > 0
-      ? (p ? chalk.yellow.bold(String(car.iRating)) : chalk.white(String(car.iRating)))
-      : chalk.gray('--');
-
-    // Δ iRating cell — green/red by direction; yellow-bold for player
-    let iRDeltaCell;
-    if (car.iRatingDelta == null) {
-      iRDeltaCell = chalk.gray('--');
-    } else {
-      const sign   = car.iRatingDelta >= 0 ? '+' : '';
-      const dStr   = `${sign}${car.iRatingDelta}`;
-      const dColor = car.iRatingDelta >= 0 ? chalk.green.bold : chalk.red.bold;
-      iRDeltaCell  = p ? chalk.yellow.bold(dStr) : dColor(dStr);
+  const cells = (car) => {
+    const ctx = cellContext(car, cars, tel, grouped, selected);
+    return columns.map(c => c.cell(car, ctx, c.width));
+  };
+
+  // ↑/↓ move through every car in table order; the rows shown scroll to
+  // keep the selection in view.
+  const order  = [];
+  let   hidden = 0;
+  if (grouped) {
+    // One section per class, ordered by where the class leader runs overall.
+    // Each class gets a share of the row budget proportional to its size so
+    // a small class is never pushed off the screen by a big one.
+    for (const cls of classOrder(cars)) {
+      const members = sortForTable(cars.filter(c => (c.carClass || '__default__') === cls));
+      const share   = Math.max(3, Math.floor(options.rows * members.length / cars.length));
+      const top     = scrollWindow(classScroll.get(cls) ?? 0, members.indexOf(selected), share, members.length);
+      classScroll.set(cls, top);
+      table.push([{ colSpan: columns.length, hAlign: 'left', content: classHeader(members) }]);
+      for (const car of members.slice(top, top + share)) table.push(cells(car));
+      order.push(...members);
+      hidden += Math.max(0, members.length - share);
     }
+  } else {
+    const sorted = sortForTable(cars);
+    scrollTop    = scrollWindow(scrollTop, sorted.indexOf(selected), options.rows, sorted.length);
+    for (const car of sorted.slice(scrollTop, scrollTop + options.rows)) table.push(cells(car));
+    order.push(...sorted);
+    hidden = Math.max(0, sorted.length - options.rows);
+  }
+
+  const result = { text: table.toString(), order, hidden };
+  // Key on the scroll positions the table settled on, so the next frame with
+  // the same view finds it.
+  tableCache = { model, key: tableViewKey(grouped, selected, width), result };
+  return result;
+}
 
-    // Last lap cell — purple when it matches the personal best (just set a PB)
-    const isBestLap = car.lastLap > 0 && car.bestLap > 0 && car.lastLap === car.bestLap;
-    const lastLapCell = isBestLap
-      ? chalk.magenta.bold(formatTime(car.lastLap))
-      : p ? chalk.yellow(formatTime(car.lastLap)) : formatTime(car.lastLap);
+/**
+ * A frame being drawn: the display's lines, top to bottom.  Every panel gets
+ * the frame as `out` and adds to it with print(), which takes one line or
+ * several joined with newlines (a whole table).
+ */
+function createFrame() {
+  const lines = [];
+  return {
+    lines,
+    print(text = '') {
+      lines.push(...String(text).split('\n'));
+    },
+  };
+}
 
-    const flagCell = getCarFlagCell(car.carFlag);
+const screen = createScreen(process.stdout);
 
-    table.push([
-      p ? chalk.yellow.bold(`P${livePos}`) : color(`P${livePos}`),
-      p ? chalk.yellow.bold(`#${car.number}`) : chalk.yellow(`#${car.number}`),
-      nameCell,
-      licenseCell(car.licString),
-      p ? chalk.yellow.bold(String(car.laps)) : chalk.white(String(car.laps)),
-      lastLapCell,
-      p ? chalk.yellow(formatTime(car.bestLap)) : formatTime(car.bestLap),
-      p ? chalk.yellow(formatGap(car.gap, livePos)) : formatGap(car.gap, livePos),
-      p ? chalk.yellow(lapBar(car.distPct)) : chalk.blue(lapBar(car.distPct)),
-      flagCell,
-      iRCell,
-      iRDeltaCell,
-    ]);
+/**
+ * Draw one frame of the interactive display.  Only the lines that changed
+ * since the last frame reach the terminal – see lib/screen.js.
+ */
+function render() {
+  const frame = createFrame();
+  drawFrame(frame);
+  screen.draw(frame.lines);
+}
+
+// ─── Headless Output ──────────────────────────────────────────────────────────
+
+/** Pad or cut plain text to exactly `width` characters. */
+function fit(text, width, align) {
+  const plain = stripAnsi(text);
+  const cut   = plain.length > width ? plain.slice(0, width) : plain;
+  return align === 'right' ? cut.padStart(width) : cut.padEnd(width);
+}
+
+/** --format jsonl: the --serve JSON, one object per line. */
+function writeJsonl() {
+  process.stdout.write(JSON.stringify(standingsSnapshot()) + '\n');
+}
+
+let plainWaiting = false; // the waiting line has been printed already
+
+/**
+ * --format plain: a colourless, fixed-width snapshot of the standings using
+ * the configured table columns, headed by a timestamped session line.
+ * Nothing but one line is printed while there is no session.
+ */
+function renderPlain() {
+  const model = buildStandings();
+  const stamp = new Date().toLocaleTimeString();
+  if (!model || model.cars.length === 0) {
+    if (!plainWaiting) console.log(`[${stamp}] Waiting for ${options.replay ? 'session data in replay' : 'iRacing'}`);
+    plainWaiting = true;
+    return;
   }
+  plainWaiting = false;
+
+  const { tel, kind, sessionType, totalLaps, playerLap, timeRemain, cars, multiClass, teamRacing } = model;
+  const flag = flagState(tel.SessionFlags)?.key ?? enumLabel(tel.SessionState) ?? '';
+  console.log(
+    `[${stamp}] ${sessionType}  Lap ${playerLap} / ${totalLaps}` +
+    `  Time remaining ${timeRemain != null ? formatClock(timeRemain) : 'N/A'}  Cars ${cars.length}  ${flag}`,
+  );
 
-  console.log(table.toString());
-  console.log(chalk.gray(`  Updated: ${new Date().toLocaleTimeString()}   Press Ctrl+C to exit.\n`));
-  // Clear everything below the current cursor position (leftover lines from a
-  // taller previous frame) then restore the cursor.
-  process.stdout.write('\x1B[J\x1B[?25h');
+  // The track bar and sector marks are pictures, not data.
+  const columns = tableKeys(kind, multiClass, false, teamRacing)
+    .filter(k => k !== 'track' && k !== 'sectors')
+    .map(k => COLUMNS[k]);
+  // cli-table3 widths include a space of padding each side.
+  const line = cells => cells.map((text, i) => fit(text, columns[i].width - 2, columns[i].align)).join(' ');
+  console.log(line(columns.map(c => c.head)));
+  for (const car of cars.slice(0, options.rows)) {
+    const ctx = cellContext(car, cars, tel, false, null);
+    console.log(line(columns.map(c => c.cell(car, ctx, c.width))));
+  }
+  console.log('');
 }
 
 // ─── SDK Initialisation ───────────────────────────────────────────────────────
@@ -500,13 +2406,87 @@ function render() {
  * irsdk.init() opens the MMAP file handle, starts an internal polling loop,
  * and returns an EventEmitter.  We pass `telemetryUpdateInterval` to control
  * how often the C++ addon reads a fresh telemetry snapshot from shared memory.
- * Keeping it at 100 ms (10 Hz) is well below the display rate and avoids
- * burning CPU while still being more than fast enough for a 500 ms display.
+ * The default of 100 ms (10 Hz) is well below the display rate and avoids
+ * burning CPU while still being more than fast enough for a 500 ms display;
+ * both rates can be changed in the config (lib/config.js).
+ *
+ * With --replay the emitter comes from lib/replay.js instead.  iracing-sdk-js
+ * is only required in live mode because its native addon is Windows-only and
+ * would refuse to load anywhere else.
  */
-const iracing = irsdk.init({
-  telemetryUpdateInterval: 100,   // ms between MMAP reads
-  sessionInfoUpdateInterval: 1000, // ms between YAML re-parses
-});
+const iracing = options.replay
+  ? createReplay(options.replay, { speed: options.speed })
+  : require('iracing-sdk-js').init({
+      telemetryUpdateInterval:   options.telemetryRate,   // ms between MMAP reads (default 100)
+      sessionInfoUpdateInterval: options.sessionInfoRate, // ms between YAML re-parses (default 1000)
+    });
+
+// --record: mirror every event to disk as it arrives.  A file that can't be
+// written is fatal, like a port that can't be served on below.
+const recorder = options.record
+  ? createRecorder(options.record, pkg.version, {
+      onError: (err) => {
+        clearInterval(renderInterval);
+        exitAltScreen();
+        console.error(chalk.red(`Cannot write recording: ${err.message}`));
+        quit(1);
+      },
+    })
+  : null;
+if (recorder) recordSource(iracing, recorder);
+
+// --serve: the standings model over HTTP and WebSocket for overlays and second
+// screens.  A port that can't be opened is fatal – the user asked for it.
+const server = options.serve
+  ? createStandingsServer({
+      port:     options.serve,
+      interval: options.serveInterval,
+      snapshot: standingsSnapshot,
+      onError:  (err) => {
+        clearInterval(renderInterval);
+        exitAltScreen();
+        console.error(chalk.red(`Could not serve on port ${options.serve}: ${err.message}`));
+        quit(1);
+      },
+    })
+  : null;
+
+/** Forget everything derived from the current session. */
+function resetSessionState() {
+  isConnected        = false;
+  currentTelemetry   = null;
+  currentSessionInfo = null;
+  // Clear cached driver state so stale data from this session doesn't appear
+  // in a future session.
+  for (const key of Object.keys(carCache)) delete carCache[key];
+  standingsCache = { telemetry: null, sessionInfo: null, model: null };
+}
+
+/**
+ * Identify the session a telemetry frame belongs to.  SubSessionID is unique
+ * per hosted/official event; SessionNum advances practice → qualify → race
+ * within it.  History is kept for as long as this key stays the same.
+ */
+function sessionKeyOf(tel, si) {
+  const wi = si?.WeekendInfo ?? {};
+  return `${wi.SessionID ?? 0}:${wi.SubSessionID ?? 0}:${tel.SessionNum ?? 0}`;
+}
+
+/** Drop history accumulated over the session (pit stops, lap times, fuel use…). */
+function resetHistory() {
+  pitTracker.reset();
+  lapTracker.reset();
+  fuelTracker.reset();
+  intervalTracker.reset();
+  sectorTracker.reset();
+  incidentTracker.reset();
+  paceTracker.reset();
+  driveTimeTracker.reset();
+  alertEngine.reset();
+  eventDetector.reset();
+  eventLog.clear();
+  standingsCache = { telemetry: null, sessionInfo: null, model: null };
+}
 
 // iRacing started / a session was loaded and the MMAP is now readable.
 iracing.on('Connected', () => {
@@ -515,59 +2495,131 @@ iracing.on('Connected', () => {
 
 // iRacing exited or the MMAP disappeared.
 iracing.on('Disconnected', () => {
-  isConnected        = false;
-  currentTelemetry   = null;
-  currentSessionInfo = null;
-  // Clear cached driver state so stale data from this session doesn't appear
-  // in a future session.
-  for (const key of Object.keys(carCache)) delete carCache[key];
+  resetSessionState();
 });
 
 // Emitted whenever the session info YAML changes (new driver, session advance…).
 // si is the fully parsed JavaScript object representation of the YAML.
+// Incident counts only live in the session info, so they are tracked here.
 iracing.on('SessionInfo', (si) => {
   currentSessionInfo = si;
+
+  const tel = currentTelemetry?.values ?? currentTelemetry;
+  incidentTracker.update((si?.data ?? si)?.DriverInfo?.Drivers, tel?.SessionTime);
 });
 
 // Emitted each time a fresh telemetry buffer is read from shared memory.
 // data.values is a plain object mapping variable names → current values.
+// Per-car history is fed here rather than in render() so pit timings get the
+// full 10 Hz resolution instead of the 2 Hz display rate.
 iracing.on('Telemetry', (data) => {
   currentTelemetry = data;
+
+  const tel = data.values ?? data;
+  const si  = currentSessionInfo?.data ?? currentSessionInfo;
+  if (!si) return;
+
+  const key = sessionKeyOf(tel, si);
+  if (key !== sessionKey) {
+    sessionKey = key;
+    resetHistory();
+  }
+  pitTracker.update(tel);
+  lapTracker.update(tel, pitTracker);
+  fuelTracker.update(tel);
+  intervalTracker.update(tel);
+  sectorTracker.update(tel, parseSectors(si));
+  paceTracker.update(tel);
+  driveTimeTracker.update(tel, si.DriverInfo?.Drivers);
+
+  // Alerts follow the telemetry rather than the display, so they fire at the
+  // same moment in every output format and whatever the refresh rate.
+  const model = buildStandings();
+  if (model) checkAlerts(model);
+
+  // The session is over once iRacing reaches cool-down: save its report,
+  // once per session.
+  if (tel.SessionState === 'CoolDown' && reportedKey !== sessionKey) {
+    reportedKey = sessionKey;
+    saveReport();
+    saveHistory();
+  }
+});
+
+// Replay only: the clock jumped.  Seeking backwards invalidates the cached
+// car state and session history; the replayer re-sends the connection state
+// and latest snapshots right after this event.
+iracing.on('Seek', ({ from, to }) => {
+  if (to < from) {
+    resetSessionState();
+    resetHistory();
+  }
 });
 
 // ─── Display Loop ─────────────────────────────────────────────────────────────
 
-// Redraw every 500 ms.  This is independent of how fast iRacing writes data;
+// Redraw every options.refresh ms (500 by default).  This is independent of how fast iRacing writes data;
 // we simply display whatever the latest snapshot happens to be at each tick.
 // Enter the alternate screen buffer so the TUI never interferes with the
 // normal scrollback and \x1B[H always homes to the true top of the canvas.
-process.stdout.write('\x1B[?1049h');
+if (!headless) process.stdout.write('\x1B[?1049h');
 
 function exitAltScreen() {
+  if (headless) return;
+  if (process.stdin.isTTY) process.stdin.setRawMode(false);
   process.stdout.write('\x1B[?25h\x1B[?1049l');
 }
 
+// A resized terminal has reflowed the old frame: redraw from scratch, laid
+// out for the new size, without waiting for the next tick.
+if (!headless) {
+  process.stdout.on('resize', () => {
+    screen.invalidate();
+    render();
+  });
+}
+
+/** One display tick in the chosen output format. */
+const tick = format === 'jsonl' ? writeJsonl
+           : format === 'plain' ? renderPlain
+           : render;
+
+/** Exit the process, first giving the recorder a chance to flush to disk. */
+function quit(code) {
+  if (recorder) recorder.close(() => process.exit(code));
+  else process.exit(code);
+}
+
 // Restore the normal screen on clean exit (Ctrl+C).
+// The session on screen is reported first, so quitting never loses it.
 process.on('SIGINT', () => {
   clearInterval(renderInterval);
+  const files = saveReport();
   exitAltScreen();
-  process.exit(0);
+  if (files) (headless ? console.error : console.log)(`Report saved: ${files.csv}, ${files.json}, ${files.html}`);
+  quit(0);
+});
+
+// The reader of a pipe went away (`| head`): stop as if interrupted.
+process.stdout.on('error', (err) => {
+  if (err.code !== 'EPIPE') throw err;
+  process.emit('SIGINT');
 });
 
 const renderInterval = setInterval(() => {
   try {
-    render();
+    tick();
   } catch (err) {
     clearInterval(renderInterval);
     exitAltScreen();
     console.error(chalk.red.bold('Render error (display loop stopped):'));
     console.error(err);
   }
-}, 500);
+}, options.refresh);
 
 // Show the waiting screen immediately rather than waiting for the first tick.
 try {
-  render();
+  tick();
 } catch (err) {
   clearInterval(renderInterval);
   exitAltScreen();
@@ -575,13 +2627,28 @@ try {
   console.error(err);
 }
 
+// Headless replay: once the recording has played out, write the final
+// standings and stop as if interrupted, so a script reading the output sees
+// it end instead of the last snapshot repeated.  A recording that ends with
+// iRacing closing gets its final standings written just before the
+// disconnect clears them.  The TUI stays open to browse the finished session.
+if (headless && options.replay) {
+  iracing.prependListener('Disconnected', () => {
+    if (buildStandings()) tick();
+  });
+  iracing.on('End', () => {
+    if (buildStandings()) tick();
+    process.emit('SIGINT');
+  });
+}
+
 // Catch any other uncaught errors so they are not swallowed by the TUI loop.
 process.on('uncaughtException', (err) => {
   clearInterval(renderInterval);
   exitAltScreen();
   console.error(chalk.red.bold('Uncaught exception:'));
   console.error(err);
-  process.exit(1);
+  quit(1);
 });
 
 process.on('unhandledRejection', (reason) => {
@@ -589,5 +2656,125 @@ process.on('unhandledRejection', (reason) => {
   exitAltScreen();
   console.error(chalk.red.bold('Unhandled promise rejection:'));
   console.error(reason);
-  process.exit(1);
+  quit(1);
 });
+
+// ─── Keyboard ─────────────────────────────────────────────────────────────────
+
+/**
+ * Move the selection `step` rows up (negative) or down (positive) the
+ * displayed order, stopping at either end.
+ */
+function moveSelection(step) {
+  if (lastOrder.length === 0) return;
+  const current = lastOrder.indexOf(selectedIdx ?? currentTelemetryValue('PlayerCarIdx'));
+  const next    = current === -1 ? 0 : Math.max(0, Math.min(lastOrder.length - 1, current + step));
+  selectedIdx   = lastOrder[next];
+}
+
+// Views in the order Tab steps through them; the number keys pick one.
+const VIEW_CYCLE = [
+  { view: 'standings', layout: 'overall' },
+  { view: 'standings', layout: 'class' },
+  { view: 'relative' },
+  { view: 'laps' },
+];
+
+/** Switch to VIEW_CYCLE entry `n`. */
+function selectView(n) {
+  const next = VIEW_CYCLE[n];
+  view = next.view;
+  if (next.layout) layout = next.layout;
+}
+
+/** Step to the next view after the current one. */
+function nextView() {
+  const current = VIEW_CYCLE.findIndex(v => v.view === view && (!v.layout || v.layout === layout));
+  selectView((current + 1) % VIEW_CYCLE.length);
+}
+
+/** Cycle the standings table through TABLE_SORTS. */
+function cycleSort() {
+  const keys = Object.keys(TABLE_SORTS);
+  sortKey = keys[(keys.indexOf(sortKey) + 1) % keys.length];
+  showNotice(`Sorted by ${TABLE_SORTS[sortKey].label}`);
+}
+
+/** Read a single variable from the latest telemetry snapshot. */
+function currentTelemetryValue(name) {
+  const tel = currentTelemetry?.values ?? currentTelemetry?.data?.values ?? currentTelemetry;
+  return tel?.[name];
+}
+
+/**
+ * Keyboard handling.  Raw mode delivers Ctrl+C as a keypress rather than a
+ * signal, so it is forwarded to the SIGINT handler by hand.  Replay transport
+ * keys are only bound with --replay.
+ */
+function handleKey(str, key = {}) {
+  if ((key.ctrl && key.name === 'c') || key.name === 'q') {
+    process.emit('SIGINT');
+    return;
+  }
+
+  // The help overlay swallows everything but the keys that close it.
+  if (showHelp) {
+    if (key.name === 'escape' || str === '?') {
+      showHelp = false;
+      render();
+    }
+    return;
+  }
+
+  switch (key.name) {
+    case 'up':       moveSelection(-1);            break;
+    case 'down':     moveSelection(1);             break;
+    case 'pageup':   moveSelection(-options.rows); break;
+    case 'pagedown': moveSelection(options.rows);  break;
+    case 'home':     moveSelection(-Infinity);     break;
+    case 'end':      moveSelection(Infinity);      break;
+    case 'return':   view = 'laps';      break;
+    case 'escape':   view = 'standings'; break;
+    case 'tab':      nextView();         break;
+    case 'p':        selectedIdx = null; break;
+    case 's':        cycleSort();        break;
+    case 'd':        showDetail = !showDetail; break;
+    case 'c':        layout = layout === 'class' ? 'overall' : 'class'; break;
+    case 'r':        view = view === 'relative' ? 'standings' : 'relative'; break;
+    case 'e':        saveReport(); break;
+    case 'f':        cycleEventFilter(); break;
+    case 'm':        showTrackMap = !showTrackMap; break;
+    default:
+      if (str === '?') showHelp = true;
+      else if (str >= '1' && str <= String(VIEW_CYCLE.length)) selectView(Number(str) - 1);
+      else if (!options.replay || !handleReplayKey(str, key)) return;
+  }
+  render();
+}
+
+/** Replay transport controls.  Returns false for keys it does not handle. */
+function handleReplayKey(str, key) {
+  switch (key.name ?? str) {
+    case 'space': iracing.togglePause();     break;
+    case 'left':  iracing.seekBy(-10000);    break;
+    case 'right': iracing.seekBy(10000);     break;
+    default:
+      switch (str) {
+        case ',': iracing.seekBy(-60000);    break;
+        case '.': iracing.seekBy(60000);     break;
+        case '-': iracing.changeSpeed(-1);   break;
+        case '+':
+        case '=': iracing.changeSpeed(1);    break;
+        default: return false;
+      }
+  }
+  return true;
+}
+
+if (process.stdin.isTTY && !headless) {
+  readline.emitKeypressEvents(process.stdin);
+  process.stdin.setRawMode(true);
+  process.stdin.on('keypress', handleKey);
+}
+
+if (options.replay) iracing.start();
@@ -0,0 +1,199 @@
+'use strict';
+
+/**
+ * Rule-based alerts.
+ *
+ * Each rule names a condition (`when`), its parameters and what to do when
+ * it fires – ring the terminal bell, flash a banner, run a command:
+ *
+ *   { "when": "pitInWindow", "window": 3, "bell": true, "banner": true,
+ *     "command": "notify-send pitwall \"$PITWALL_MESSAGE\"" }
+ *
+ * A condition reports the things it currently holds for (a car, the
+ * player…) under a key.  An alert fires when a key appears and is re-armed
+ * once it goes away, so a blue flag alerts once per blue flag rather than on
+ * every frame.  Whatever already holds on the first update is taken as the
+ * starting point and does not fire.
+ */
+
+const { carFlagKind } = require('./events');
+const { formatClock } = require('./format');
+
+const label = car => `#${car.number} ${car.name}`;
+
+/**
+ * Conditions.  check(ctx, params) returns [{ key, text }] for everything the
+ * condition holds for right now.  ctx is the standings model plus `pace(car)`,
+ * `fuel` (the player's fuel plan, or null) and `team` (the player car's drive
+ * time against the limits, or null outside team events).
+ */
+const CONDITIONS = {
+  // The player is being shown the blue flag.
+  blueFlag: {
+    params: {},
+    check({ playerCar }) {
+      return playerCar && carFlagKind(playerCar.carFlag) === 'blue'
+        ? [{ key: 'player', text: 'Blue flag – let the faster car through' }]
+        : [];
+    },
+  },
+
+  // A car within `window` seconds of the player, ahead or behind, is on pit road.
+  pitInWindow: {
+    params: { window: 5 },
+    check({ kind, cars, playerCar }, { window }) {
+      if (kind !== 'race' || !playerCar || !(playerCar.gap < 3600)) return [];
+      return cars
+        .filter(c => !c.isPlayer && !c.disconnected && c.onPitRoad && c.gap >= 0 && c.gap < 3600)
+        .filter(c => Math.abs(c.gap - playerCar.gap) <= window)
+        .map(c => ({
+          key:  c.idx,
+          text: `${label(c)} pitting – ${Math.abs(c.gap - playerCar.gap).toFixed(1)}s ${c.gap < playerCar.gap ? 'ahead' : 'behind'}`,
+        }));
+    },
+  },
+
+  // The car directly ahead is lapping at least `margin` seconds slower.
+  slowerAhead: {
+    params: { margin: 0.5 },
+    check({ kind, cars, playerCar, pace }, { margin }) {
+      if (kind !== 'race' || !playerCar) return [];
+      const ahead  = cars[cars.indexOf(playerCar) - 1];
+      const mine   = pace(playerCar);
+      const theirs = ahead && !ahead.disconnected && !ahead.onPitRoad ? pace(ahead) : null;
+      if (!(mine > 0) || !(theirs > 0) || theirs - mine < margin) return [];
+      return [{ key: ahead.idx, text: `${label(ahead)} ahead is ${(theirs - mine).toFixed(2)}s/lap slower` }];
+    },
+  },
+
+  // The player's incident count has reached `threshold`.
+  incidents: {
+    params: { threshold: 10 },
+    check({ tel }, { threshold }) {
+      const count = tel.PlayerCarMyIncidents;
+      return count >= threshold ? [{ key: 'player', text: `Incidents at ${count}x` }] : [];
+    },
+  },
+
+  // A class leader has just set the fastest lap in their class.
+  fastLap: {
+    params: {},
+    check({ cars }) {
+      const out     = [];
+      const byClass = new Map();
+      for (const car of cars) {
+        const cls = car.carClass || '__default__';
+        if (!byClass.has(cls)) byClass.set(cls, []);
+        byClass.get(cls).push(car);
+      }
+      for (const members of byClass.values()) {
+        const leader = members[0];
+        const best   = Math.min(...members.map(c => (c.bestLap > 0 ? c.bestLap : Infinity)));
+        if (leader.bestLap > 0 && leader.bestLap === best && leader.lastLap === leader.bestLap) {
+          // Keyed by the lap time, so every further improvement alerts again.
+          out.push({ key: `${leader.idx}:${leader.bestLap}`, text: `${label(leader)} leads with the class fastest lap` });
+        }
+      }
+      return out;
+    },
+  },
+
+  // Team events: the player's driver is within `stintWarning` minutes of
+  // the stint or drive-time maximum (see lib/teams.js).
+  stintLimit: {
+    params: {},
+    check({ team }) {
+      if (!team) return [];
+      const { limits, warning } = team;
+      const out = [];
+      if (limits.stintLeft != null && limits.stintLeft <= warning) {
+        out.push({ key: `stint:${team.driverId}:${team.stintStart}`, text: `${team.driverName}: ${formatClock(limits.stintLeft)} of the stint left` });
+      }
+      if (limits.totalLeft != null && limits.totalLeft <= warning) {
+        out.push({ key: `total:${team.driverId}`, text: `${team.driverName}: ${formatClock(limits.totalLeft)} of drive time left` });
+      }
+      return out;
+    },
+  },
+
+  // The player can't make the finish on the fuel on board, or – with `laps`
+  // set – has fewer than that many laps of fuel left.
+  fuel: {
+    params: { laps: null },
+    check({ fuel }, { laps }) {
+      if (!fuel?.plan) return [];
+      const short = laps != null ? fuel.plan.lapsOnFuel < laps : fuel.plan.fuelToAdd > 0;
+      return short ? [{ key: 'player', text: `Fuel: ${fuel.plan.lapsOnFuel.toFixed(1)} laps left` }] : [];
+    },
+  },
+};
+
+// Used when the config file has no "alerts" list.
+const DEFAULT_ALERTS = [
+  { when: 'blueFlag',   banner: true },
+  { when: 'fuel',       banner: true },
+  { when: 'stintLimit', bell: true, banner: true },
+];
+
+const ACTIONS = { bell: 'boolean', banner: 'boolean', command: 'string' };
+
+/**
+ * Check an "alerts" list from the config file and fill in parameter
+ * defaults.  Throws with a readable message on a bad rule.
+ */
+function validateAlerts(list) {
+  if (!Array.isArray(list)) throw new Error('alerts must be a list of rules');
+  return list.map((rule, i) => {
+    const where = `alerts[${i}]`;
+    if (!rule || typeof rule !== 'object') throw new Error(`${where} must be an object`);
+    const cond = CONDITIONS[rule.when];
+    if (!cond) throw new Error(`${where}: "when" must be one of: ${Object.keys(CONDITIONS).join(', ')}`);
+    for (const [key, value] of Object.entries(rule)) {
+      if (key === 'when') continue;
+      if (key in ACTIONS) {
+        if (typeof value !== ACTIONS[key]) throw new Error(`${where}: ${key} must be a ${ACTIONS[key]}`);
+      } else if (key in cond.params) {
+        if (typeof value !== 'number') throw new Error(`${where}: ${key} must be a number`);
+      } else {
+        throw new Error(`${where}: unknown setting "${key}" for ${rule.when}`);
+      }
+    }
+    if (!rule.bell && !rule.banner && !rule.command) {
+      throw new Error(`${where}: set at least one of bell, banner or command`);
+    }
+    return { ...cond.params, ...rule };
+  });
+}
+
+/**
+ * Create the engine for a validated rule list.  update(ctx) returns the
+ * alerts that fired this time: [{ rule, text }].
+ */
+function createAlertEngine(rules) {
+  let active = null; // per rule: Set of keys that held last time
+
+  return {
+    update(ctx) {
+      const fired = [];
+      const now   = rules.map((rule) => {
+        const hits = CONDITIONS[rule.when].check(ctx, rule);
+        return new Map(hits.map(h => [String(h.key), h.text]));
+      });
+      if (active) {
+        now.forEach((hits, i) => {
+          for (const [key, text] of hits) {
+            if (!active[i].has(key)) fired.push({ rule: rules[i], text });
+          }
+        });
+      }
+      active = now.map(hits => new Set(hits.keys()));
+      return fired;
+    },
+
+    reset() {
+      active = null;
+    },
+  };
+}
+
+module.exports = { createAlertEngine, validateAlerts, DEFAULT_ALERTS, CONDITIONS };
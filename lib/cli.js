@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * Command-line option parsing.
+ *
+ * Kept dependency-free on purpose: the packaged .exe bundles everything it
+ * requires, and the handful of flags we support does not justify pulling in
+ * an argument-parsing library.
+ */
+
+const USAGE = `
+Usage: iracing-pitwall-tui [options]
+
+Options:
+  --record <file>   Write every SessionInfo / Telemetry snapshot to <file>
+                    (JSON Lines; gzip-compressed when <file> ends in .gz)
+  --replay <file>   Play a recording back instead of reading from iRacing
+  --speed <n>       Initial replay speed multiplier (default 1)
+  --serve <port>    Serve the standings as JSON on http://127.0.0.1:<port>/standings
+                    and push them over WebSocket at ws://127.0.0.1:<port>/ws
+  --serve-interval <ms>
+                    WebSocket push interval (default 500)
+  --report-dir <dir>
+                    Where session reports (CSV, JSON, HTML) are saved
+                    (default ./reports)
+  --history-dir <dir>
+                    Where your session history is kept
+                    (default ~/.pitwall/history)
+  --no-history      Don't read or save session history this run
+  --format <name>   tui (the interactive display), jsonl (one standings
+                    object per line) or plain (colourless text snapshots).
+                    Default: tui on a terminal, plain when piped
+  --plain           Same as --format plain
+  -h, --help        Show this help and exit
+  -v, --version     Show the version and exit
+
+Display (also settable in the config file; flags win):
+  --config <file>   Read settings from <file> instead of ./pitwall.json or
+                    ~/.pitwall.json
+  --columns <list>  Race table columns, comma-separated, in order
+  --timed-columns <list>
+                    Practice / qualifying table columns
+  --rows <n>        Most cars shown in the standings table (default 25)
+  --view <name>     Starting view: standings, class or relative
+  --theme <name>    default, or colorblind (blue / orange instead of
+                    green / red)
+  --sector-best <overall|class>
+                    Purple sectors are the best of the whole field (default)
+                    or of the car's class
+  --refresh <ms>    Redraw interval (default 500)
+  --telemetry-rate <ms>
+                    Telemetry read interval (default 100)
+  --session-info-rate <ms>
+                    Session info read interval (default 1000)
+
+Team events (minutes; also settable in the config file):
+  --max-stint <min>       Longest stint one driver may do
+  --min-drive-time <min>  Least drive time each driver must do
+  --max-drive-time <min>  Most drive time one driver may do
+  --stint-warning <min>   Warn this long before a limit (default 5)
+`;
+
+/** Options that consume the following argument as their value. */
+const VALUE_OPTIONS = {
+  '--record':            'record',
+  '--format':            'format',
+  '--replay':            'replay',
+  '--speed':             'speed',
+  '--serve':             'serve',
+  '--serve-interval':    'serveInterval',
+  '--report-dir':        'reportDir',
+  '--history-dir':       'historyDir',
+  '--config':            'config',
+  '--columns':           'columns',
+  '--timed-columns':     'timedColumns',
+  '--rows':              'rows',
+  '--view':              'view',
+  '--theme':             'theme',
+  '--sector-best':       'sectorBest',
+  '--refresh':           'refresh',
+  '--telemetry-rate':    'telemetryRate',
+  '--session-info-rate': 'sessionInfoRate',
+  '--max-stint':         'maxStint',
+  '--min-drive-time':    'minDriveTime',
+  '--max-drive-time':    'maxDriveTime',
+  '--stint-warning':     'stintWarning',
+};
+
+/** Output formats for --format. */
+const FORMATS = ['tui', 'jsonl', 'plain'];
+
+/** Options that are plain on/off switches. */
+const FLAG_OPTIONS = {
+  '--plain':      'plain',
+  '--no-history': 'noHistory',
+  '--help':       'help',
+  '-h':           'help',
+  '--version':    'version',
+  '-v':           'version',
+};
+
+/**
+ * Parse argv (without the node binary and script path) into an options object.
+ * Accepts both "--flag value" and "--flag=value".  Throws on unknown flags or
+ * missing / invalid values so the caller can print USAGE and exit.
+ *
+ * Display settings are only collected here; defaults, the config file and
+ * validation are applied by resolveConfig() in lib/config.js.
+ */
+function parseArgs(argv) {
+  const opts = {
+    record:    null,
+    replay:    null,
+    speed:     1,
+    serve:     null,
+    format:    null,
+    plain:     false,
+    noHistory: false,
+    help:      false,
+    version:   false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    let arg   = argv[i];
+    let value = null;
+
+    const eq = arg.indexOf('=');
+    if (arg.startsWith('--') && eq !== -1) {
+      value = arg.slice(eq + 1);
+      arg   = arg.slice(0, eq);
+    }
+
+    if (FLAG_OPTIONS[arg]) {
+      opts[FLAG_OPTIONS[arg]] = true;
+      continue;
+    }
+
+    const key = VALUE_OPTIONS[arg];
+    if (!key) throw new Error(`Unknown option: ${arg}`);
+
+    if (value == null) {
+      value = argv[++i];
+      if (value == null || value.startsWith('--')) {
+        throw new Error(`Option ${arg} requires a value`);
+      }
+    }
+    opts[key] = value;
+  }
+
+  opts.speed = Number(opts.speed);
+  if (!(opts.speed > 0)) throw new Error('--speed must be a positive number');
+
+  if (opts.serve != null) {
+    opts.serve = Number(opts.serve);
+    if (!Number.isInteger(opts.serve) || opts.serve < 1 || opts.serve > 65535) {
+      throw new Error('--serve must be a port number (1-65535)');
+    }
+  }
+
+  // Same as "historyDir": false in the config file.
+  if (opts.noHistory) {
+    if (opts.historyDir != null) throw new Error('--no-history and --history-dir cannot be used together');
+    opts.historyDir = false;
+  }
+
+  if (opts.plain) {
+    if (opts.format != null && opts.format !== 'plain') throw new Error('--plain and --format cannot be used together');
+    opts.format = 'plain';
+  }
+  if (opts.format != null && !FORMATS.includes(opts.format)) {
+    throw new Error(`--format must be one of: ${FORMATS.join(', ')}`);
+  }
+
+  if (opts.record && opts.replay) {
+    throw new Error('--record and --replay cannot be used together');
+  }
+
+  return opts;
+}
+
+module.exports = { parseArgs, USAGE };
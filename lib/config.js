@@ -0,0 +1,157 @@
+'use strict';
+
+/**
+ * Display settings from a JSON config file, overridden by command-line flags.
+ *
+ * The file is the one named by --config, otherwise the first of
+ *   ./pitwall.json
+ *   ~/.pitwall.json
+ * that exists.  Every key is optional:
+ *
+ *   {
+ *     "columns":         ["pos", "cls", "number", "driver", "gap", "interval"],
+ *     "timedColumns":    ["pos", "number", "driver", "best", "bestGap"],
+ *     "rows":            25,
+ *     "refresh":         500,
+ *     "telemetryRate":   100,
+ *     "sessionInfoRate": 1000,
+ *     "serveInterval":   250,
+ *     "theme":           "colorblind",
+ *     "view":            "class",
+ *     "sectorBest":      "class",
+ *     "reportDir":       "reports",
+ *     "maxStint":        60,
+ *     "minDriveTime":    45,
+ *     "maxDriveTime":    240,
+ *     "stintWarning":    5,
+ *     "historyDir":      "~/.pitwall/history",
+ *     "alerts":          [{ "when": "blueFlag", "bell": true, "banner": true }]
+ *   }
+ *
+ * Column keys are checked against the table's column list by index.js, which
+ * owns it; alert rules by lib/alerts.js; everything else is validated here.
+ */
+
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const { validateAlerts, DEFAULT_ALERTS } = require('./alerts');
+
+const CONFIG_FILES = [
+  path.join(process.cwd(), 'pitwall.json'),
+  path.join(os.homedir(), '.pitwall.json'),
+];
+
+const DEFAULTS = {
+  columns:         null,   // race columns; null = the built-in list
+  timedColumns:    null,   // practice / qualifying columns; null = built-in
+  rows:            25,     // most cars shown in the standings table
+  refresh:         500,    // ms between redraws
+  telemetryRate:   100,    // ms between telemetry reads from iRacing
+  sessionInfoRate: 1000,   // ms between session info re-parses
+  serveInterval:   500,    // ms between --serve WebSocket pushes
+  theme:           'default',
+  view:            'standings',
+  reportDir:       'reports',
+  alerts:          null,   // alert rules; null = DEFAULT_ALERTS in lib/alerts.js
+  maxStint:        null,   // team events: longest stint one driver may do, minutes
+  minDriveTime:    null,   // least drive time each driver must do, minutes
+  maxDriveTime:    null,   // most drive time one driver may do, minutes
+  stintWarning:    5,      // minutes before a stint / drive-time limit to warn
+  historyDir:      null,   // session history store; null = ~/.pitwall/history, false = off
+  sectorBest:      'overall', // purple sectors: best of the whole field, or 'class'
+};
+
+const THEMES       = ['default', 'colorblind'];
+const VIEWS        = ['standings', 'class', 'relative'];
+const SECTOR_BESTS = ['overall', 'class'];
+
+/** Read and parse a config file; `required` makes a missing file an error. */
+function readConfigFile(file, required) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (!required && err.code === 'ENOENT') return null;
+    throw new Error(`Cannot read config file ${file}: ${err.message}`);
+  }
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Config file ${file} is not valid JSON: ${err.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Config file ${file} must contain a JSON object`);
+  }
+  for (const key of Object.keys(config)) {
+    if (!(key in DEFAULTS)) throw new Error(`Unknown setting "${key}" in ${file}`);
+  }
+  return config;
+}
+
+/** A column list from the file (array) or the command line ("a,b,c"). */
+function columnList(value, name) {
+  if (value == null) return null;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const keys = list.map(k => String(k).trim()).filter(Boolean);
+  if (keys.length === 0) throw new Error(`${name} must list at least one column`);
+  return keys;
+}
+
+function positiveInt(value, name, min = 1) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min) throw new Error(`${name} must be a whole number of at least ${min}`);
+  return n;
+}
+
+/** A positive number of minutes, or null when unset. */
+function minutes(value, name) {
+  if (value == null) return null;
+  const n = Number(value);
+  if (!(n > 0)) throw new Error(`${name} must be a positive number of minutes`);
+  return n;
+}
+
+/**
+ * Merge defaults, the config file and the command-line options (which win).
+ * Command-line values left at null / undefined don't override anything.
+ * Returns the complete options object; throws with a readable message on a
+ * bad file or value.
+ */
+function resolveConfig(cliOpts) {
+  const file   = cliOpts.config ?? CONFIG_FILES.find(f => fs.existsSync(f));
+  const config = file ? readConfigFile(file, Boolean(cliOpts.config)) ?? {} : {};
+
+  const cli = {};
+  for (const key of Object.keys(DEFAULTS)) {
+    if (cliOpts[key] != null) cli[key] = cliOpts[key];
+  }
+  const opts = { ...cliOpts, ...DEFAULTS, ...config, ...cli, configFile: file ?? null };
+
+  opts.columns         = columnList(opts.columns, 'columns');
+  opts.timedColumns    = columnList(opts.timedColumns, 'timedColumns');
+  opts.rows            = positiveInt(opts.rows, 'rows');
+  opts.refresh         = positiveInt(opts.refresh, 'refresh', 50);
+  opts.telemetryRate   = positiveInt(opts.telemetryRate, 'telemetryRate', 16);
+  opts.sessionInfoRate = positiveInt(opts.sessionInfoRate, 'sessionInfoRate', 100);
+  opts.serveInterval   = positiveInt(opts.serveInterval, 'serveInterval', 50);
+  if (!THEMES.includes(opts.theme)) throw new Error(`theme must be one of: ${THEMES.join(', ')}`);
+  if (!VIEWS.includes(opts.view))   throw new Error(`view must be one of: ${VIEWS.join(', ')}`);
+  if (!SECTOR_BESTS.includes(opts.sectorBest)) {
+    throw new Error(`sectorBest must be one of: ${SECTOR_BESTS.join(', ')}`);
+  }
+  opts.reportDir = String(opts.reportDir);
+  opts.alerts    = validateAlerts(opts.alerts ?? DEFAULT_ALERTS);
+  for (const key of ['maxStint', 'minDriveTime', 'maxDriveTime', 'stintWarning']) {
+    opts[key] = minutes(opts[key], key);
+  }
+  opts.historyDir = opts.historyDir === false ? null
+                  : opts.historyDir == null   ? path.join(os.homedir(), '.pitwall', 'history')
+                  : String(opts.historyDir).replace(/^~(?=$|[\\/])/, os.homedir());
+
+  return opts;
+}
+
+module.exports = { resolveConfig, DEFAULTS };
@@ -0,0 +1,210 @@
+'use strict';
+
+/**
+ * Race control event log.
+ *
+ * createEventDetector() compares each standings model with the previous one
+ * and reports what changed – overtakes, fastest laps, pit lane entries and
+ * exits, car flags, drivers leaving and rejoining, driver swaps in team
+ * events, session state – as log
+ * entries.  Working from consecutive models makes it safe to call with the
+ * same state twice: nothing changed, nothing is logged.
+ *
+ * createEventLog() is the ring buffer the entries are kept in, so a long
+ * session can't grow it without limit.
+ *
+ * Entry: { at, type, text, carIdx } – `at` is SessionTime, `type` one of
+ * EVENT_TYPES.
+ */
+
+const { formatLapTime } = require('./format');
+
+const EVENT_TYPES = ['position', 'lap', 'pit', 'flag', 'connection', 'driver', 'session'];
+
+// Session flags worth an entry when they appear (SessionFlags bit names).
+const SESSION_FLAGS = {
+  green:     'Green flag',
+  caution:   'Caution',
+  yellow:    'Yellow flag',
+  white:     'White flag – final lap',
+  checkered: 'Chequered flag',
+  red:       'Red flag',
+};
+
+/**
+ * The flag that matters most on a car, from CarIdxSessionFlags:
+ *   'dq' | 'black' | 'meatball' | 'blue' | 'warn' | null
+ * Priority DQ > black > meatball > blue > warning.
+ */
+function carFlagKind(raw) {
+  const flags = Array.isArray(raw) ? raw.map(s => String(s).toLowerCase()) : [];
+  const has   = str => flags.some(f => f.includes(str));
+  if (has('disqualif')) return 'dq';
+  if (has('black'))     return 'black';
+  if (has('repair'))    return 'meatball';
+  if (has('blue'))      return 'blue';
+  if (has('furled'))    return 'warn';
+  return null;
+}
+
+const FLAG_TEXT = {
+  dq:       'disqualified',
+  black:    'shown the black flag',
+  meatball: 'shown the meatball (repairs required)',
+  blue:     'shown the blue flag',
+  warn:     'given a warning',
+};
+
+/** Fixed-size log; the oldest entries drop off once `capacity` is reached. */
+function createEventLog(capacity = 500) {
+  let entries = [];
+  return {
+    push(entry) {
+      entries.push(entry);
+      if (entries.length > capacity) entries = entries.slice(-capacity);
+    },
+    /** Entries oldest first, optionally only those of one type. */
+    list(type = null) {
+      return type ? entries.filter(e => e.type === type) : entries;
+    },
+    clear() {
+      entries = [];
+    },
+  };
+}
+
+const label = car => `#${car.number} ${car.name}`;
+
+/**
+ * Create a detector that turns successive standings models into log
+ * entries.  update(model) returns the new entries (possibly none).
+ */
+function createEventDetector() {
+  let prev = null; // { cars: Map idx → snapshot, order: [idx], state, flags }
+
+  function snapshotOf(car) {
+    return {
+      name:         car.name,
+      number:       car.number,
+      driverId:     car.drive?.driverId ?? null,
+      progress:     (car.laps ?? 0) + (car.distPct ?? 0),
+      onPitRoad:    car.onPitRoad,
+      stops:        car.pit?.stops ?? 0,
+      entryStops:   null, // stop count on entering the pit lane, set below
+      bestLap:      car.bestLap,
+      flag:         carFlagKind(car.carFlag),
+      disconnected: car.disconnected,
+    };
+  }
+
+  return {
+    update({ tel, kind, cars }) {
+      const at     = tel.SessionTime;
+      const now    = new Map(cars.map(c => [c.idx, snapshotOf(c)]));
+      const state  = tel.SessionState ?? null;
+      const flags  = (tel.SessionFlags ?? []).map(f => String(f).toLowerCase());
+      const events = [];
+      const log    = (type, text, carIdx = null) => events.push({ at, type, text, carIdx });
+
+      if (!prev) {
+        prev = { cars: now, order: cars.map(c => c.idx), state, flags };
+        return events;
+      }
+
+      // ── Session ─────────────────────────────────────────────────────────
+      if (state !== prev.state && state != null) log('session', `Session state: ${state}`);
+      for (const [flag, text] of Object.entries(SESSION_FLAGS)) {
+        if (flags.includes(flag) && !prev.flags.includes(flag)) log('session', text);
+      }
+
+      // ── Per car ─────────────────────────────────────────────────────────
+      // Overall session best among the previous models, for purple laps.
+      let sessionBest = Infinity;
+      for (const p of prev.cars.values()) if (p.bestLap > 0) sessionBest = Math.min(sessionBest, p.bestLap);
+
+      for (const car of cars) {
+        const was = prev.cars.get(car.idx);
+        const is  = now.get(car.idx);
+        if (!was) {
+          if (!is.disconnected) log('connection', `${label(car)} joined`, car.idx);
+          continue;
+        }
+
+        if (is.disconnected !== was.disconnected) {
+          log('connection', `${label(car)} ${is.disconnected ? 'disconnected' : 'rejoined'}`, car.idx);
+        }
+        if (is.disconnected) continue;
+
+        if (was.driverId !== null && is.driverId !== null && is.driverId !== was.driverId) {
+          const who = car.team ? `#${car.number} ${car.team}` : `#${car.number}`;
+          log('driver', `${who} driver change: ${was.name} → ${car.name}`, car.idx);
+        }
+
+        is.entryStops = !is.onPitRoad ? null : was.onPitRoad ? was.entryStops : was.stops;
+
+        if (is.onPitRoad && !was.onPitRoad) log('pit', `${label(car)} entered the pit lane`, car.idx);
+        if (!is.onPitRoad && was.onPitRoad) {
+          // The stall time belongs to this visit only if a stop was counted
+          // since the car came in; a drive-through leaves the previous one.
+          const lane    = car.pit?.lastLaneTime;
+          const stopped = is.stops > was.entryStops;
+          const detail  = [
+            lane != null ? `lane ${lane.toFixed(1)}s` : null,
+            stopped && car.pit.lastStallTime != null ? `stationary ${car.pit.lastStallTime.toFixed(1)}s` : null,
+          ].filter(Boolean).join(', ');
+          log('pit', `${label(car)} left the pits` + (detail ? ` (${detail})` : ''), car.idx);
+        }
+
+        if (is.bestLap > 0 && !(was.bestLap > 0 && is.bestLap >= was.bestLap)) {
+          const overall = is.bestLap < sessionBest;
+          if (overall) sessionBest = is.bestLap;
+          log('lap', `${label(car)} ${overall ? 'fastest lap of the session' : 'personal best'} ${formatLapTime(is.bestLap)}`, car.idx);
+        }
+
+        if (is.flag !== was.flag && is.flag) log('flag', `${label(car)} ${FLAG_TEXT[is.flag]}`, car.idx);
+      }
+      for (const [idx, was] of prev.cars) {
+        if (!now.has(idx) && !was.disconnected) log('connection', `${label(was)} left the session`, idx);
+      }
+
+      // ── Overtakes ───────────────────────────────────────────────────────
+      // Only in races, and only between cars out on track – a pit stop isn't
+      // an overtake.  Around the line a car's lap counter and distance can
+      // update a frame apart, making it look a lap ahead for one sample; if
+      // any car jumped like that the order is skipped this time round.
+      let order = prev.order;
+      const glitch = cars.some((c) => {
+        const was = prev.cars.get(c.idx);
+        return was && !c.disconnected && Math.abs(now.get(c.idx).progress - was.progress) > 0.5;
+      });
+      if (kind === 'race' && !glitch) {
+        const before = new Map(prev.order.map((idx, i) => [idx, i]));
+        cars.forEach((car, pos) => {
+          const is = now.get(car.idx);
+          if (is.disconnected || is.onPitRoad || !before.has(car.idx)) return;
+          // Cars that were ahead last time and are behind now.
+          const passed = cars.slice(pos + 1).filter((other) => {
+            const o = now.get(other.idx);
+            return before.has(other.idx) && before.get(other.idx) < before.get(car.idx) &&
+                   !o.onPitRoad && !o.disconnected && !prev.cars.get(other.idx).onPitRoad;
+          });
+          if (passed.length) {
+            log('position', `${label(car)} passed ${passed.map(label).join(', ')} for P${pos + 1}`, car.idx);
+          }
+        });
+        order = cars.map(c => c.idx);
+      } else if (kind !== 'race') {
+        order = cars.map(c => c.idx);
+      }
+
+      prev = { cars: now, order, state, flags };
+      return events;
+    },
+
+    reset() {
+      prev = null;
+    },
+  };
+}
+
+module.exports = { createEventDetector, createEventLog, carFlagKind, EVENT_TYPES };
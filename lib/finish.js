@@ -0,0 +1,148 @@
+'use strict';
+
+/**
+ * Race finish projection.
+ *
+ * A race ends when the leader crosses the line after the lap limit is reached
+ * or, in timed races, after SessionTimeRemain hits zero – whichever comes
+ * first.  Everyone else finishes the next time they cross the line after
+ * that.  Working in "track progress" (laps completed + fraction of the
+ * current lap) makes both cases the same calculation:
+ *
+ *   leader finish   = min(lap limit, ceil(leaderProgress + timeRemain / leaderPace))
+ *   leader time     = (leader finish − leaderProgress) × leaderPace
+ *   car finish      = ceil(carProgress + leader time / carPace)
+ *
+ * Pace figures come from the caller (recent average lap times), so the
+ * projection moves as the race develops.
+ *
+ * When a crossing of the line falls within CLOSE_CALL seconds of the moment
+ * that decides the finish – the clock running out for the leader, the
+ * leader's flag for everyone else – a little more or less pace changes the
+ * number of laps run, and the projection says which way it could go.
+ */
+
+// iRacing uses these as "no limit" sentinels.
+const UNLIMITED_LAPS = 32767;
+const UNLIMITED_TIME = 604800; // one week, in seconds
+
+// Seconds either side of the deciding moment that count as a close call.
+const CLOSE_CALL = 5;
+
+/** Parse the YAML SessionLaps value ("20", "unlimited", 32767…) → number | null. */
+function parseLapLimit(sessionLaps) {
+  const n = parseInt(sessionLaps, 10);
+  return Number.isFinite(n) && n > 0 && n < UNLIMITED_LAPS ? n : null;
+}
+
+/** Laps completed + fraction of the current lap for one CarIdx. */
+function trackProgress(tel, idx) {
+  const completed = tel.CarIdxLapCompleted?.[idx] ?? ((tel.CarIdxLap?.[idx] ?? 1) - 1);
+  const pct       = tel.CarIdxLapDistPct?.[idx] ?? 0;
+  return Math.max(0, completed) + Math.max(0, pct);
+}
+
+/**
+ * Project how many laps the leader and another car (usually the player)
+ * still have to run.  Returns null when the session has neither a lap limit
+ * nor a usable time limit (or the time limit cannot be converted to laps
+ * because the leader's pace is still unknown).
+ *
+ *   { timed, finishAt, leaderLapsToGo, carLapsToGo, carLapsDown,
+ *     leaderTimeToGo, leaderRisk, carRisk }
+ *
+ * carLapsDown is how many laps behind the leader the car takes the flag.
+ * leaderRisk / carRisk are 'more' or 'fewer' when the leader (timed races
+ * only) or the car could end up running one lap more or fewer than
+ * projected, else null.
+ */
+function projectFinish({ tel, session, leaderIdx, leaderPace, carIdx, carPace }) {
+  const lapLimit   = parseLapLimit(session?.SessionLaps);
+  const timeRemain = tel.SessionTimeRemain;
+  const hasTime    = timeRemain != null && timeRemain >= 0 && timeRemain < UNLIMITED_TIME;
+
+  const leaderProg = trackProgress(tel, leaderIdx);
+
+  let finishAt = lapLimit;
+  let timed    = false;
+  if (hasTime && leaderPace > 0) {
+    const timedFinish = Math.ceil(leaderProg + timeRemain / leaderPace);
+    if (finishAt == null || timedFinish < finishAt) {
+      finishAt = timedFinish;
+      timed    = true;
+    }
+  }
+  if (finishAt == null) return null;
+
+  const leaderLapsToGo = Math.max(0, finishAt - leaderProg);
+  const leaderTimeToGo = leaderPace > 0 ? leaderLapsToGo * leaderPace : null;
+
+  // The leader crosses the line `margin` seconds after the clock runs out:
+  // just after, and a quicker lap beats the clock for one lap more; nearly a
+  // lap after, and the crossing before only just beat it.
+  let leaderRisk = null;
+  if (timed) {
+    const margin = leaderTimeToGo - timeRemain;
+    if (margin < CLOSE_CALL) leaderRisk = 'more';
+    else if (leaderPace - margin < CLOSE_CALL) leaderRisk = 'fewer';
+  }
+
+  let carLapsToGo = leaderLapsToGo;
+  let carLapsDown = 0;
+  let carRisk     = leaderRisk;
+  if (carIdx != null && carIdx !== leaderIdx) {
+    const carProg = trackProgress(tel, carIdx);
+    // Without pace figures assume the car keeps its current lap deficit.
+    const known             = leaderTimeToGo != null && carPace > 0;
+    const carAtLeaderFinish = known
+      ? carProg + leaderTimeToGo / carPace
+      : carProg + leaderLapsToGo;
+    carLapsToGo = Math.max(0, Math.ceil(carAtLeaderFinish) - carProg);
+    carLapsDown = Math.max(0, finishAt - Math.ceil(carAtLeaderFinish));
+
+    // Seconds between the leader's flag and the car's crossings either side
+    // of it: crossing just after the flag, it could as well be just before
+    // and go round again; just before, it could miss and finish a lap early.
+    carRisk = null;
+    if (known) {
+      const after  = (Math.ceil(carAtLeaderFinish) - carAtLeaderFinish) * carPace;
+      const before = (carAtLeaderFinish - Math.floor(carAtLeaderFinish)) * carPace;
+      if (after < CLOSE_CALL) carRisk = 'more';
+      else if (before < CLOSE_CALL) carRisk = 'fewer';
+    }
+  }
+
+  return { timed, finishAt, leaderLapsToGo, carLapsToGo, carLapsDown, leaderTimeToGo, leaderRisk, carRisk };
+}
+
+/**
+ * Project the finishing order from every car's progress and pace (seconds
+ * per lap; null when unknown), given a projectFinish() result.  Each car
+ * finishes on its first crossing after the leader's flag, or at the lap
+ * limit; cars then rank by laps run and by when they cross the line.
+ *
+ * Cars without a pace are assumed to run at the leader's; `stopped` cars
+ * (disconnected, towed) stay where they are and rank by progress.  Pit
+ * stops still to come are not known, so they're not allowed for.
+ *
+ *   cars  – [{ idx, pace, stopped }]
+ *
+ * Returns [{ idx, laps, at }] in finishing order – laps at the flag and the
+ * seconds from now of the final crossing – or null while the leader's time
+ * to the flag is unknown.
+ */
+function projectOrder({ tel, cars, finish, leaderPace }) {
+  const timeToGo = finish?.leaderTimeToGo;
+  if (timeToGo == null) return null;
+
+  const projected = cars.map(({ idx, pace, stopped }) => {
+    const progress = trackProgress(tel, idx);
+    const lapTime  = pace > 0 ? pace : leaderPace;
+    if (stopped || !(lapTime > 0)) return { idx, laps: progress, at: Infinity };
+    const laps = Math.min(finish.finishAt, Math.ceil(progress + timeToGo / lapTime));
+    return { idx, laps, at: Math.max(0, laps - progress) * lapTime };
+  });
+  return projected.sort((a, b) => (b.laps - a.laps) || (a.at - b.at));
+}
+
+module.exports = { projectFinish, projectOrder, parseLapLimit, trackProgress };
@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * Time formatting shared by the display, the event log, alerts and reports,
+ * so a lap or a countdown reads the same wherever it appears.  Plain text
+ * only: what to show for a missing time, and in which colour, is up to the
+ * caller.
+ */
+
+/** Seconds → "M:SS.mmm". */
+function formatLapTime(seconds) {
+  // Round to the millisecond first so 59.9996 shows as 1:00.000, not 0:60.000
+  const ms = Math.round(seconds * 1000);
+  return `${Math.floor(ms / 60000)}:${((ms % 60000) / 1000).toFixed(3).padStart(6, '0')}`;
+}
+
+/** Seconds → "M:SS", or "H:MM:SS" once past the hour; "-" in front once below zero. */
+function formatClock(seconds) {
+  const t = Math.floor(Math.abs(seconds));
+  const h = Math.floor(t / 3600);
+  const m = Math.floor((t % 3600) / 60);
+  const s = t % 60;
+  const sign = seconds < 0 ? '-' : '';
+  return h > 0
+    ? `${sign}${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`
+    : `${sign}${m}:${String(s).padStart(2, '0')}`;
+}
+
+module.exports = { formatLapTime, formatClock };
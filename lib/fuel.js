@@ -0,0 +1,124 @@
+'use strict';
+
+/**
+ * Fuel consumption tracking and strategy for the player car.
+ *
+ * Consumption is measured directly: FuelLevel (litres) is sampled every time
+ * the player crosses the start/finish line and the difference is the fuel
+ * that lap used.  Only *green-flag* laps count towards the average – laps
+ * run under caution, laps that touched pit road and laps where the level
+ * went up (refuelling, a reset) would all drag it away from racing
+ * consumption.
+ *
+ * Until the first green lap is complete the per-lap figure is estimated from
+ * FuelUsePerHour (kg/h, instantaneous) using the car's fuel density and lap
+ * time, and flagged as an estimate.
+ */
+
+const GREEN_LAPS_AVG   = 5;   // green laps averaged for the per-lap figure
+const REFUEL_THRESHOLD = 0.2; // litres; a rise larger than this is a refuel
+const CAUTION_FLAGS    = ['caution', 'cautionwaving'];
+
+/** True when SessionFlags (array of names from the SDK) shows a full-course caution. */
+function isCaution(sessionFlags) {
+  if (!Array.isArray(sessionFlags)) return false;
+  return sessionFlags.some(f => CAUTION_FLAGS.includes(String(f).toLowerCase()));
+}
+
+/**
+ * Create a tracker measuring the player's fuel use lap by lap.  Reset it when
+ * a new session starts.
+ */
+function createFuelTracker() {
+  let laps      = [];   // { lap, used, green }
+  let lapNum    = null; // player's current lap (telemetry "Lap")
+  let atStart   = null; // FuelLevel when the current lap started
+  let green     = true; // current lap has been green and clean so far
+  let prevLevel = null; // FuelLevel of the previous sample, to spot refuels
+
+  return {
+    /** Feed one telemetry snapshot. */
+    update(tel) {
+      const level = tel.FuelLevel;
+      const lap   = tel.Lap;
+      if (level == null || lap == null) return;
+
+      if (isCaution(tel.SessionFlags) || tel.OnPitRoad) green = false;
+      if (prevLevel != null && level - prevLevel > REFUEL_THRESHOLD) green = false;
+      prevLevel = level;
+
+      if (lapNum === null || lap < lapNum || lap > lapNum + 1) {
+        // First sample or a discontinuity: start measuring from the next lap.
+        lapNum  = lap;
+        atStart = null;
+        green   = false;
+        return;
+      }
+
+      if (lap === lapNum + 1) {
+        if (atStart != null) laps.push({ lap: lapNum, used: atStart - level, green });
+        lapNum  = lap;
+        atStart = level;
+        green   = !isCaution(tel.SessionFlags) && !tel.OnPitRoad;
+      }
+    },
+
+    /**
+     * { perLap, greenLaps, lastUsed } – perLap averages the last
+     * GREEN_LAPS_AVG green laps; null until one has been completed.
+     */
+    stats() {
+      const greenLaps = laps.filter(l => l.green && l.used > 0);
+      const recent    = greenLaps.slice(-GREEN_LAPS_AVG);
+      return {
+        perLap:    recent.length ? recent.reduce((a, l) => a + l.used, 0) / recent.length : null,
+        greenLaps: greenLaps.length,
+        lastUsed:  laps.length ? laps[laps.length - 1].used : null,
+      };
+    },
+
+    reset() {
+      laps = [];
+      lapNum = atStart = prevLevel = null;
+      green = true;
+    },
+  };
+}
+
+/**
+ * Litres per lap estimated from the instantaneous FuelUsePerHour (kg/h).
+ * Used only until a measured green lap exists.
+ */
+function estimatePerLap(fuelUsePerHour, kgPerLitre, lapTime) {
+  if (!(fuelUsePerHour > 0) || !(kgPerLitre > 0) || !(lapTime > 0)) return null;
+  return (fuelUsePerHour / kgPerLitre) * (lapTime / 3600);
+}
+
+/**
+ * Work out the fuel strategy to the finish.
+ *
+ *   lapsOnFuel – laps the current level lasts at `perLap`
+ *   fuelNeeded – litres required to complete `lapsToGo` (plus marginLaps)
+ *   fuelToAdd  – litres still to put in (0 = can make it)
+ *   stops      – stops needed given the usable tank capacity
+ *   saveTarget – litres per lap that would remove one stop (null when no
+ *                stop is needed)
+ */
+function fuelPlan({ level, perLap, lapsToGo, capacity, marginLaps = 0 }) {
+  const lapsOnFuel = level / perLap;
+  if (lapsToGo == null) return { lapsOnFuel, fuelNeeded: null, fuelToAdd: null, stops: null, saveTarget: null };
+
+  const fuelNeeded = (lapsToGo + marginLaps) * perLap;
+  const fuelToAdd  = Math.max(0, fuelNeeded - level);
+  const stops      = fuelToAdd > 0 && capacity > 0 ? Math.ceil(fuelToAdd / capacity) : (fuelToAdd > 0 ? 1 : 0);
+
+  // With one stop fewer, the fuel available is what is in the tank plus a
+  // full tank for every remaining stop; spread it over the laps to go.
+  const saveTarget = stops > 0 && lapsToGo > 0
+    ? (level + (stops - 1) * (capacity || 0)) / (lapsToGo + marginLaps)
+    : null;
+
+  return { lapsOnFuel, fuelNeeded, fuelToAdd, stops, saveTarget };
+}
+
+module.exports = { createFuelTracker, fuelPlan, estimatePerLap, isCaution };
@@ -0,0 +1,136 @@
+'use strict';
+
+/**
+ * On-disk history of the player's sessions, one JSON file per track and car
+ * combination, so the next visit can be measured against the last ones.
+ *
+ * File: <dir>/<track id>-<config>__<car path>.json
+ *   { track, car, sessions: [entry …] }   oldest first
+ *
+ * Entry:
+ *   { key, date, type, subSessionId, sessionNum,
+ *     laps:       [seconds …]  clean and pit laps alike, in order,
+ *     bestLap, position, classPosition, starters, iRatingDelta, incidents,
+ *     opponents:  [{ userId, name, position, classPosition }] }
+ *
+ * Opponents are the other drivers in the player's class – finishing ahead of
+ * a car in another class says nothing about the racing.
+ *
+ * `key` (subsession + session number) identifies a session, so saving one
+ * again replaces it.
+ *
+ * A file that can't be read as a record is never written over: the first
+ * save moves it aside to <file>.<time>.bak and starts a new record.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+/** Lowercase, filesystem-safe fragment of a name. */
+function slug(text) {
+  return String(text ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'default';
+}
+
+/**
+ * The track / car combination the player is in, from the session info:
+ * { key, track, car } or null when the player's car isn't known.
+ */
+function comboOf(si) {
+  const wi  = si?.WeekendInfo ?? {};
+  const di  = si?.DriverInfo ?? {};
+  const me  = (di.Drivers ?? []).find(d => d.CarIdx === di.DriverCarIdx);
+  if (!me || wi.TrackID == null) return null;
+  const track = [wi.TrackDisplayName ?? wi.TrackName, wi.TrackConfigName].filter(Boolean).join(' – ');
+  const car   = String(me.CarScreenName ?? me.CarScreenNameShort ?? me.CarPath ?? 'car');
+  return {
+    key:   `${wi.TrackID}-${slug(wi.TrackConfigName)}__${slug(me.CarPath ?? car)}`,
+    track,
+    car,
+  };
+}
+
+/**
+ * Create a store rooted at `dir`.  Records are read on first use and cached;
+ * writes go straight to disk.
+ */
+function createHistoryStore(dir) {
+  const cache   = new Map();
+  const damaged = new Set(); // keys whose file is there but unreadable
+  const fileOf  = key => path.join(dir, `${key}.json`);
+
+  function load(combo) {
+    if (cache.has(combo.key)) return cache.get(combo.key);
+    let record;
+    try {
+      record = JSON.parse(fs.readFileSync(fileOf(combo.key), 'utf8'));
+      if (!Array.isArray(record?.sessions)) throw new Error('no sessions list');
+    } catch (err) {
+      // Missing is normal for a new combination.  A damaged file doesn't
+      // stop the app either, but is kept for save() to move aside.
+      if (err.code !== 'ENOENT') damaged.add(combo.key);
+      record = { track: combo.track, car: combo.car, sessions: [] };
+    }
+    cache.set(combo.key, record);
+    return record;
+  }
+
+  return {
+    /** The record for a combination: { track, car, sessions }. */
+    load,
+
+    /** Add or replace a session entry and write the file.  Throws on I/O errors. */
+    save(combo, entry) {
+      const record   = load(combo);
+      const sessions = record.sessions.filter(s => s.key !== entry.key);
+      const updated  = { track: combo.track, car: combo.car, sessions: [...sessions, entry] };
+      fs.mkdirSync(dir, { recursive: true });
+      if (damaged.has(combo.key)) {
+        fs.renameSync(fileOf(combo.key), `${fileOf(combo.key)}.${Date.now()}.bak`);
+        damaged.delete(combo.key);
+      }
+      fs.writeFileSync(fileOf(combo.key), JSON.stringify(updated, null, 2));
+      cache.set(combo.key, updated);
+      return fileOf(combo.key);
+    },
+  };
+}
+
+/**
+ * The fastest lap across a record's sessions, skipping the one identified by
+ * `exceptKey` (the session in progress): { time, date } or null.
+ */
+function personalBest(record, exceptKey = null) {
+  let best = null;
+  for (const s of record.sessions) {
+    if (s.key === exceptKey || !(s.bestLap > 0)) continue;
+    if (!best || s.bestLap < best.time) best = { time: s.bestLap, date: s.date };
+  }
+  return best;
+}
+
+/**
+ * Past races against the drivers in `opponents` ([{ userId, name }]):
+ * [{ userId, name, races, ahead, behind }] for everyone met before, most
+ * often met first.  Class positions are compared where recorded.
+ */
+function headToHead(record, opponents, exceptKey = null) {
+  const ids = new Map(opponents.map(o => [String(o.userId), o]));
+  const met = new Map();
+  for (const s of record.sessions) {
+    if (s.key === exceptKey || s.type !== 'race' || !(s.position > 0)) continue;
+    for (const o of s.opponents ?? []) {
+      const current = ids.get(String(o.userId));
+      if (!current || !(o.position > 0)) continue;
+      const entry = met.get(current.userId) ?? { userId: current.userId, name: current.name, races: 0, ahead: 0, behind: 0 };
+      const mine   = s.classPosition > 0 && o.classPosition > 0 ? s.classPosition : s.position;
+      const theirs = s.classPosition > 0 && o.classPosition > 0 ? o.classPosition : o.position;
+      entry.races++;
+      if (mine < theirs) entry.ahead++;
+      else entry.behind++;
+      met.set(current.userId, entry);
+    }
+  }
+  return [...met.values()].sort((a, b) => b.races - a.races);
+}
+
+module.exports = { createHistoryStore, comboOf, personalBest, headToHead };
@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * Per-driver incident history from the session info.
+ *
+ * DriverInfo.Drivers[].CurDriverIncidentCount holds each driver's running
+ * total.  It only changes when the session info is re-read (about once a
+ * second), so every increase is stamped with the SessionTime of the
+ * telemetry current at that moment.  The size of an increase tells what
+ * happened: 1x off-track, 2x loss of control, 4x contact (0x for light
+ * contact never shows up).
+ *
+ * iRacing hides other drivers' counts in some sessions (reported as -1);
+ * those drivers simply have no history.
+ */
+
+function emptyCar() {
+  return {
+    count:  null, // last known total
+    events: [],   // { at, amount, total } for every increase, oldest first
+  };
+}
+
+/**
+ * Create a tracker holding incident history for every CarIdx.  Like the
+ * other trackers it lives for the whole session; reset() it when a new one
+ * starts.
+ */
+function createIncidentTracker() {
+  let cars = {};
+
+  return {
+    /** Feed the DriverInfo.Drivers array along with the current SessionTime. */
+    update(drivers, sessionTime) {
+      for (const d of drivers ?? []) {
+        if (d.CarIdx == null) continue;
+        const count = parseInt(d.CurDriverIncidentCount, 10);
+        if (!(count >= 0)) continue;
+
+        const car = cars[d.CarIdx] ?? (cars[d.CarIdx] = emptyCar());
+        // The first sighting is the baseline, not an incident.  A count that
+        // goes down means a different driver took the seat (team events) –
+        // start again from the new figure.
+        if (car.count !== null && count > car.count && sessionTime != null) {
+          car.events.push({ at: sessionTime, amount: count - car.count, total: count });
+        }
+        car.count = count;
+      }
+    },
+
+    /** { count, events } for one car; count is null when unknown. */
+    get(idx) {
+      return cars[idx] ?? emptyCar();
+    },
+
+    /**
+     * Incident points a car picked up in the `window` seconds before
+     * `sessionTime` – what the Inc column highlights.  0 when none.
+     */
+    recent(idx, sessionTime, window) {
+      const events = cars[idx]?.events ?? [];
+      let sum = 0;
+      for (let i = events.length - 1; i >= 0 && sessionTime - events[i].at <= window; i--) {
+        sum += events[i].amount;
+      }
+      return sum;
+    },
+
+    reset() {
+      cars = {};
+    },
+  };
+}
+
+module.exports = { createIncidentTracker };
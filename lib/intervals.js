@@ -0,0 +1,154 @@
+'use strict';
+
+/**
+ * Interval timing from a per-car history of checkpoint crossings.
+ *
+ * CarIdxF2Time only gives the gap to the leader, and only refreshes at
+ * certain points, so intervals between neighbours are measured here instead.
+ * Every lap is split into CHECKPOINTS equally spaced points; for each car we
+ * store the SessionTime at which it passed each point (interpolated between
+ * telemetry samples).  The interval from a car to the one ahead is then
+ *
+ *   time the car passed its latest checkpoint − time the car ahead passed it
+ *
+ * i.e. a true "time behind on the road" that works anywhere on the lap.  The
+ * interval shown live is measured at the car's exact position, interpolating
+ * the car ahead between checkpoints, so it keeps growing while a car sits in
+ * its pit stall instead of freezing at the last checkpoint.
+ * Comparing against the same checkpoint one lap earlier gives the per-lap
+ * trend, and several consecutive laps under BATTLE_GAP make a battle.
+ *
+ * Positions are expressed as *track progress*: CarIdxLap + CarIdxLapDistPct.
+ * Around the line the two values don't always update in the same frame, so
+ * isolated out-of-place samples are ignored; jumps that persist (tows,
+ * resets, replay seeks) restart that car's history.
+ */
+
+const CHECKPOINTS  = 20;  // timing points per lap (every 5 %)
+const HISTORY_LAPS = 6;   // laps of checkpoint history kept per car
+const BATTLE_GAP   = 1.0; // seconds
+const BATTLE_LAPS  = 3;   // consecutive laps within BATTLE_GAP to count as a battle
+const LAPPED       = 3600; // same "one artificial hour per lap" encoding as CarIdxF2Time
+const JUMP_FRAMES  = 3;   // consecutive out-of-place samples before history restarts
+
+function emptyCar() {
+  return { progress: null, time: null, times: {}, jumps: 0 };
+}
+
+function createIntervalTracker() {
+  let cars = {};
+
+  /** Interval at checkpoint `cp` between two cars, or null if either lacks it. */
+  function intervalAt(car, ahead, cp) {
+    const tc = car.times[cp];
+    const ta = ahead.times[cp];
+    return tc != null && ta != null ? tc - ta : null;
+  }
+
+  /** SessionTime at which `ahead` was at track progress `progress`, or null. */
+  function timeAt(ahead, progress) {
+    const cp = Math.floor(progress * CHECKPOINTS);
+    const t0 = ahead.times[cp];
+    if (t0 == null) return null;
+
+    const p0 = cp / CHECKPOINTS;
+    let t1 = ahead.times[cp + 1];
+    let p1 = (cp + 1) / CHECKPOINTS;
+    if (t1 == null) { t1 = ahead.time; p1 = ahead.progress; }
+    if (p1 <= p0) return t0;
+    return t0 + Math.min(1, (progress - p0) / (p1 - p0)) * (t1 - t0);
+  }
+
+  return {
+    /** Feed one telemetry snapshot. */
+    update(tel) {
+      const now  = tel.SessionTime;
+      const laps = tel.CarIdxLap        ?? [];
+      const pcts = tel.CarIdxLapDistPct ?? [];
+      if (now == null) return;
+
+      for (let idx = 0; idx < pcts.length; idx++) {
+        const pct = pcts[idx];
+        const lap = laps[idx];
+        if (pct == null || pct < 0 || lap == null || lap < 0) continue;
+
+        const car      = cars[idx] ?? (cars[idx] = emptyCar());
+        const progress = lap + pct;
+
+        if (car.progress !== null && Math.abs(progress - car.progress) > 0.5) {
+          // A single odd frame at the line (lap counter and distance
+          // updating out of step) is skipped; a jump that persists is a
+          // genuine discontinuity and restarts the car's history.
+          if (++car.jumps < JUMP_FRAMES) continue;
+          car.progress = null;
+        }
+        car.jumps = 0;
+        if (car.progress === null) {
+          cars[idx] = { ...emptyCar(), progress, time: now };
+          continue;
+        }
+        if (progress <= car.progress) continue;
+
+        // Record every checkpoint passed since the previous sample,
+        // interpolating the crossing time linearly between the two samples.
+        const first = Math.floor(car.progress * CHECKPOINTS) + 1;
+        const last  = Math.floor(progress * CHECKPOINTS);
+        for (let cp = first; cp <= last; cp++) {
+          const f = (cp / CHECKPOINTS - car.progress) / (progress - car.progress);
+          car.times[cp] = car.time + f * (now - car.time);
+        }
+
+        // Forget checkpoints older than the history window.
+        const oldest = last - HISTORY_LAPS * CHECKPOINTS;
+        for (const key of Object.keys(car.times)) {
+          if (Number(key) < oldest) delete car.times[key];
+        }
+
+        car.progress = progress;
+        car.time     = now;
+      }
+    },
+
+    /**
+     * Interval from `idx` to the car ahead `aheadIdx`:
+     *   { interval, delta, battle }
+     * interval – seconds behind, or N × 3600 when the car ahead is N laps up
+     * delta    – change in the interval over the last lap (negative = closing)
+     * battle   – within BATTLE_GAP at each of the last BATTLE_LAPS laps
+     * Returns null until both cars have enough history.
+     */
+    interval(idx, aheadIdx) {
+      const car   = cars[idx];
+      const ahead = cars[aheadIdx];
+      if (!car || !ahead || car.progress == null || ahead.progress == null) return null;
+
+      const lapsDown = Math.floor(ahead.progress - car.progress);
+      if (lapsDown >= 1) return { interval: lapsDown * LAPPED, delta: null, battle: false };
+
+      if (ahead.progress < car.progress) return null;
+      const passed = timeAt(ahead, car.progress);
+      if (passed == null) return null;
+      const interval = Math.max(0, car.time - passed);
+
+      const cp  = Math.floor(car.progress * CHECKPOINTS);
+      const now = intervalAt(car, ahead, cp);
+
+      const lapAgo = intervalAt(car, ahead, cp - CHECKPOINTS);
+      const delta  = now != null && lapAgo != null ? now - lapAgo : null;
+
+      let battle = interval <= BATTLE_GAP;
+      for (let k = 0; battle && k < BATTLE_LAPS; k++) {
+        const iv = intervalAt(car, ahead, cp - k * CHECKPOINTS);
+        if (iv == null || iv > BATTLE_GAP) battle = false;
+      }
+
+      return { interval, delta, battle };
+    },
+
+    reset() {
+      cars = {};
+    },
+  };
+}
+
+module.exports = { createIntervalTracker, BATTLE_GAP, BATTLE_LAPS };
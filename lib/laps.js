@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * Per-car lap history and stint pace statistics.
+ *
+ * A lap is recorded whenever CarIdxLap (the lap a car is on) increments.  The
+ * matching CarIdxLastLapTime is *not* always updated in the same telemetry
+ * frame – iRacing typically publishes it a fraction of a second after the car
+ * crosses the line – so each new entry stays pending until the value changes
+ * or LAP_TIME_SETTLE seconds of session time have passed.
+ *
+ * Each entry records the stint it belongs to (pit stops made + 1) and whether
+ * the car touched pit road during the lap.  In- and out-laps are kept in the
+ * history but left out of the pace statistics, which only describe the
+ * current stint's clean running.
+ */
+
+const LAP_TIME_SETTLE = 3; // seconds to wait for CarIdxLastLapTime to update
+
+function emptyCar() {
+  return {
+    laps:        [],    // { lap, time, stint, pit, endedAt }
+    currentLap:  null,  // last seen CarIdxLap
+    pitThisLap:  false, // touched pit road since the last line crossing
+    pending:     null,  // { entry, prevLastLap, crossedAt }
+  };
+}
+
+/**
+ * Create a tracker holding the lap history of every CarIdx.  Like the pit
+ * tracker it lives for the whole session and is cleared with reset().
+ */
+function createLapTracker() {
+  let cars = {};
+
+  return {
+    /**
+     * Feed one telemetry snapshot.  `pitTracker` supplies the stop count used
+     * to number stints.
+     */
+    update(tel, pitTracker) {
+      const now     = tel.SessionTime;
+      const lapArr  = tel.CarIdxLap         ?? [];
+      const lastArr = tel.CarIdxLastLapTime ?? [];
+      const onPit   = tel.CarIdxOnPitRoad   ?? [];
+      if (now == null) return;
+
+      for (let idx = 0; idx < lapArr.length; idx++) {
+        const lap = lapArr[idx];
+        if (lap == null || lap < 0) continue;
+        const car = cars[idx] ?? (cars[idx] = emptyCar());
+
+        // Resolve a lap time still waiting for CarIdxLastLapTime to catch up.
+        if (car.pending) {
+          const { entry, prevLastLap, crossedAt } = car.pending;
+          const last = lastArr[idx];
+          if (last !== prevLastLap || now - crossedAt >= LAP_TIME_SETTLE) {
+            entry.time  = last > 0 ? last : null;
+            car.pending = null;
+          }
+        }
+
+        if (onPit[idx]) car.pitThisLap = true;
+
+        if (car.currentLap === null || lap < car.currentLap || lap > car.currentLap + 1) {
+          // First sighting, a new session or a gap in the data (reconnect,
+          // replay seek): resynchronise without inventing a lap.
+          car.currentLap = lap;
+          car.pitThisLap = Boolean(onPit[idx]);
+          car.pending    = null;
+          continue;
+        }
+
+        if (lap === car.currentLap + 1) {
+          const entry = {
+            lap:     car.currentLap,
+            time:    null,
+            stint:   pitTracker.get(idx).stops + 1,
+            pit:     car.pitThisLap || Boolean(onPit[idx]),
+            endedAt: now,
+          };
+          car.laps.push(entry);
+          car.pending    = { entry, prevLastLap: lastArr[idx], crossedAt: now };
+          car.currentLap = lap;
+          car.pitThisLap = Boolean(onPit[idx]);
+        }
+      }
+    },
+
+    /** Recorded laps for one car, oldest first. */
+    get(idx) {
+      return cars[idx]?.laps ?? [];
+    },
+
+    /**
+     * The lap a car is on right now: { lap, pit } where pit is true once it
+     * has touched pit road on this lap.  null if the car has not been seen.
+     */
+    inProgress(idx) {
+      const car = cars[idx];
+      if (!car || car.currentLap === null) return null;
+      return { lap: car.currentLap, pit: car.pitThisLap };
+    },
+
+    reset() {
+      cars = {};
+    },
+  };
+}
+
+function mean(xs) {
+  return xs.reduce((a, b) => a + b, 0) / xs.length;
+}
+
+/**
+ * Pace statistics for the current stint of a lap history:
+ *   avg3 / avg5 – rolling average of the last 3 / 5 clean laps
+ *   stdDev      – standard deviation of the stint's clean laps (consistency)
+ *   trend       – least-squares slope in seconds per lap; positive means the
+ *                 car is getting slower (tyre degradation, fuel burn aside)
+ *   best        – fastest valid lap of the whole session (any stint)
+ * Any figure without enough laps behind it is null.
+ */
+function stintStats(laps) {
+  const valid = laps.filter(l => l.time > 0);
+  const best  = valid.length ? Math.min(...valid.map(l => l.time)) : null;
+  const stint = laps.length ? laps[laps.length - 1].stint : 1;
+  const clean = valid.filter(l => l.stint === stint && !l.pit).map(l => l.time);
+
+  const stats = { stint, stintLaps: clean.length, best, avg3: null, avg5: null, stdDev: null, trend: null };
+  if (clean.length >= 3) stats.avg3 = mean(clean.slice(-3));
+  if (clean.length >= 5) stats.avg5 = mean(clean.slice(-5));
+
+  if (clean.length >= 2) {
+    const m = mean(clean);
+    stats.stdDev = Math.sqrt(clean.reduce((a, t) => a + (t - m) ** 2, 0) / (clean.length - 1));
+  }
+
+  if (clean.length >= 3) {
+    // Slope of time against lap index: Σ(x−x̄)(y−ȳ) / Σ(x−x̄)²
+    const xm  = (clean.length - 1) / 2;
+    const ym  = mean(clean);
+    let num = 0, den = 0;
+    clean.forEach((y, x) => { num += (x - xm) * (y - ym); den += (x - xm) ** 2; });
+    stats.trend = num / den;
+  }
+
+  return stats;
+}
+
+module.exports = { createLapTracker, stintStats };
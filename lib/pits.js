@@ -0,0 +1,106 @@
+'use strict';
+
+/**
+ * Per-car pit stop tracking.
+ *
+ * Two telemetry arrays describe pit activity:
+ *   CarIdxOnPitRoad[i]     – true while the car is between pit entry and exit
+ *   CarIdxTrackSurface[i]  – "InPitStall" while the car sits in its box,
+ *                            "NotInWorld" when it is in the garage / gone
+ *
+ * A *stop* is counted when a car arrives in its stall; drive-throughs show up
+ * as pit lane visits without a stop.  All timings use SessionTime, the sim's
+ * own clock, so they stay correct when a recording is replayed at speed.
+ *
+ * Transitions are only counted between two consecutive in-world samples.  The
+ * first sample after a car appears (joining in the pits, reconnecting, the
+ * app starting mid-stop) merely initialises its state, otherwise every car
+ * that loads in from the pits would be credited with a stop.
+ */
+
+/** Fresh history for one car. */
+function emptyEntry() {
+  return {
+    stops:          0,     // number of times the car arrived in its stall
+    lastStopLap:    null,  // CarIdxLap at the moment of the last stall arrival
+    lastLaneTime:   null,  // seconds from pit entry to pit exit, last visit
+    lastStallTime:  null,  // seconds stationary in the stall, last stop
+    onPitRoad:      false,
+    inStall:        false,
+    laneEnteredAt:  null,  // SessionTime of pit entry (null = unknown / not in lane)
+    stallEnteredAt: null,  // SessionTime of stall arrival
+    inWorld:        false, // false until the next sample re-initialises the car
+  };
+}
+
+/**
+ * Create a tracker holding pit history for every CarIdx.  History lives for
+ * the whole session – it is deliberately *not* tied to the connection or to
+ * a car's presence in telemetry, so a disconnect blip loses nothing.  Call
+ * reset() when a new session starts.
+ */
+function createPitTracker() {
+  let cars = {};
+
+  return {
+    /** Feed one telemetry snapshot (the `values` object). */
+    update(tel) {
+      const now    = tel.SessionTime;
+      const onPit  = tel.CarIdxOnPitRoad    ?? [];
+      const surf   = tel.CarIdxTrackSurface ?? [];
+      const laps   = tel.CarIdxLap          ?? [];
+      if (now == null) return;
+
+      for (let idx = 0; idx < surf.length; idx++) {
+        const entry = cars[idx] ?? (cars[idx] = emptyEntry());
+
+        if (surf[idx] == null || surf[idx] === 'NotInWorld' || onPit[idx] == null) {
+          entry.inWorld = false;
+          continue;
+        }
+
+        const nowOnPit   = Boolean(onPit[idx]);
+        const nowInStall = surf[idx] === 'InPitStall';
+
+        if (!entry.inWorld) {
+          entry.inWorld        = true;
+          entry.onPitRoad      = nowOnPit;
+          entry.inStall        = nowInStall;
+          entry.laneEnteredAt  = null;
+          entry.stallEnteredAt = null;
+          continue;
+        }
+
+        if (nowOnPit && !entry.onPitRoad) {
+          entry.laneEnteredAt = now;
+        } else if (!nowOnPit && entry.onPitRoad) {
+          if (entry.laneEnteredAt != null) entry.lastLaneTime = now - entry.laneEnteredAt;
+          entry.laneEnteredAt = null;
+        }
+
+        if (nowInStall && !entry.inStall) {
+          entry.stops++;
+          entry.lastStopLap    = laps[idx] ?? null;
+          entry.stallEnteredAt = now;
+        } else if (!nowInStall && entry.inStall) {
+          if (entry.stallEnteredAt != null) entry.lastStallTime = now - entry.stallEnteredAt;
+          entry.stallEnteredAt = null;
+        }
+
+        entry.onPitRoad = nowOnPit;
+        entry.inStall   = nowInStall;
+      }
+    },
+
+    /** History for one car, or an empty entry if it has never been seen. */
+    get(idx) {
+      return cars[idx] ?? emptyEntry();
+    },
+
+    reset() {
+      cars = {};
+    },
+  };
+}
+
+module.exports = { createPitTracker };
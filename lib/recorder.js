@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * Session recorder.
+ *
+ * RECORDING FORMAT:
+ * -----------------
+ * A recording is a JSON Lines file – one JSON object per line – so it can be
+ * streamed to disk as the session runs and inspected with ordinary text tools.
+ *
+ *   {"type":"Header","format":1,"app":"0.1.2","startedAt":"2026-…"}
+ *   {"t":0,"type":"Connected"}
+ *   {"t":12,"type":"SessionInfo","data":{…parsed YAML…}}
+ *   {"t":104,"type":"Telemetry","data":{…telemetry values…}}
+ *
+ * `t` is the number of milliseconds since recording started.  Events mirror
+ * the iracing-sdk-js event names one-to-one, so the replayer can re-emit them
+ * and the rest of the app cannot tell a recording from a live session.
+ *
+ * A full telemetry frame is several kilobytes, so long sessions grow quickly.
+ * Giving the file a ".gz" extension pipes the stream through gzip, which
+ * typically shrinks a recording by 10–20×.
+ */
+
+const fs   = require('fs');
+const zlib = require('zlib');
+
+const FORMAT_VERSION = 1;
+
+/**
+ * Open `file` for writing and return a recorder.  `appVersion` is stored in
+ * the header so a recording can be matched to the build that produced it.
+ * `onError` is called once if the file can't be opened or written (missing
+ * directory, full disk); recording stops there.
+ */
+function createRecorder(file, appVersion, { onError } = {}) {
+  const fileStream = fs.createWriteStream(file);
+  let out = fileStream;
+  if (file.endsWith('.gz')) {
+    out = zlib.createGzip();
+    out.pipe(fileStream);
+  }
+
+  const startedAt = Date.now();
+  let closed = false;
+  let failed = false;
+
+  fileStream.on('error', (err) => {
+    if (failed) return;
+    failed = true;
+    closed = true;
+    if (onError) onError(err);
+  });
+
+  function writeLine(obj) {
+    if (closed) return;
+    out.write(JSON.stringify(obj) + '\n');
+  }
+
+  writeLine({
+    type: 'Header',
+    format: FORMAT_VERSION,
+    app: appVersion,
+    startedAt: new Date(startedAt).toISOString(),
+  });
+
+  return {
+    file,
+
+    /** Append one event.  `data` is omitted for Connected / Disconnected. */
+    write(type, data) {
+      const entry = { t: Date.now() - startedAt, type };
+      if (data !== undefined) entry.data = data;
+      writeLine(entry);
+    },
+
+    /**
+     * Flush and close the file.  `done` fires once everything has reached
+     * disk – callers must wait for it before exiting or gzip output is lost.
+     */
+    close(done) {
+      if (closed) { if (done) done(); return; }
+      closed = true;
+      fileStream.on('close', () => { if (done) done(); });
+      out.end();
+    },
+  };
+}
+
+/**
+ * Attach a recorder to an iracing-sdk-js instance (or anything emitting the
+ * same events) so every snapshot is written as it arrives.
+ */
+function recordSource(source, recorder) {
+  source.on('Connected',    () => recorder.write('Connected'));
+  source.on('Disconnected', () => recorder.write('Disconnected'));
+  source.on('SessionInfo',  (si) => recorder.write('SessionInfo', si?.data ?? si));
+  source.on('Telemetry',    (data) => recorder.write('Telemetry', data?.values ?? data));
+}
+
+module.exports = { createRecorder, recordSource, FORMAT_VERSION };
@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * "Relative" ordering: who is physically near a reference car on track,
+ * regardless of race position.
+ *
+ * Cars are placed by CarIdxLapDistPct relative to the reference car, wrapped
+ * into (−0.5, +0.5] of a lap so a car just across the start/finish line still
+ * counts as "just ahead".  The on-track time gap comes from CarIdxEstTime –
+ * iRacing's estimate of how long the car's class takes to reach its current
+ * spot from the line – which follows corner speeds far better than a linear
+ * distance × lap time guess; the linear guess is only used as a fallback.
+ */
+
+/** Wrap a lap-fraction difference into (−0.5, +0.5]. */
+function wrapPct(d) {
+  let w = d % 1;
+  if (w > 0.5)   w -= 1;
+  if (w <= -0.5) w += 1;
+  return w;
+}
+
+/**
+ * Build the relative list around `ref`.
+ *
+ *   cars     – standings rows (need idx, distPct, laps, disconnected)
+ *   ref      – the reference row (usually the player)
+ *   estTime  – CarIdxEstTime telemetry array (may be empty)
+ *   lapTime  – reference lap time in seconds, to wrap / estimate gaps
+ *   count    – cars to keep on each side
+ *
+ * Returns rows ordered from furthest ahead to furthest behind, reference car
+ * included: { car, deltaPct, gap, lapDiff } where gap > 0 means the car is
+ * ahead on track and lapDiff is +N when it is N laps ahead in the race,
+ * −N when N laps behind.
+ */
+function relativeOrder({ cars, ref, estTime = [], lapTime, count = 5 }) {
+  const refProgress = ref.laps + ref.distPct;
+  const refEst      = estTime[ref.idx];
+
+  const rows = [];
+  for (const car of cars) {
+    if (car.disconnected || car.distPct == null || car.distPct < 0) continue;
+
+    const deltaPct = car === ref ? 0 : wrapPct(car.distPct - ref.distPct);
+
+    let gap = null;
+    const est = estTime[car.idx];
+    if (car === ref) {
+      gap = 0;
+    } else if (est != null && refEst != null && est > 0 && lapTime > 0) {
+      gap = est - refEst;
+      if (gap >  lapTime / 2) gap -= lapTime;
+      if (gap < -lapTime / 2) gap += lapTime;
+      // EstTime is based on each car's own class reference lap, so across
+      // classes it can disagree with the physical order – trust the order.
+      if (Math.sign(gap) !== Math.sign(deltaPct)) gap = deltaPct * lapTime;
+    } else if (lapTime > 0) {
+      gap = deltaPct * lapTime;
+    }
+
+    // Race progress difference minus the on-track offset leaves the whole
+    // number of laps between the two cars.
+    const lapDiff = Math.round((car.laps + car.distPct) - refProgress - deltaPct);
+
+    rows.push({ car, deltaPct, gap, lapDiff });
+  }
+
+  rows.sort((a, b) => b.deltaPct - a.deltaPct);
+  const at = rows.findIndex(r => r.car === ref);
+  if (at === -1) return rows;
+  return rows.slice(Math.max(0, at - count), at + count + 1);
+}
+
+module.exports = { relativeOrder, wrapPct };
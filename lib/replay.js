@@ -0,0 +1,175 @@
+'use strict';
+
+/**
+ * Session replayer.
+ *
+ * Reads a recording written by lib/recorder.js and re-emits its events on a
+ * virtual clock through the same EventEmitter interface iracing-sdk-js
+ * exposes (Connected / Disconnected / SessionInfo / Telemetry).  index.js
+ * subscribes to either source identically, so the whole render pipeline can
+ * be exercised on any OS without iRacing running.
+ *
+ * The whole recording is read and gunzipped into memory when the replay is
+ * opened, so seeking is just moving an index.  Its lines are kept as the raw
+ * JSON strings and only parsed when emitted – parsed, a recording of tens of
+ * thousands of frames would take several times the room – but memory still
+ * grows with the length of the recording.
+ *
+ * Extra events, not emitted by the SDK:
+ *   'Seek'  { from, to } – the clock jumped; listeners should drop history
+ *                         derived from earlier frames before state is re-sent
+ *   'End'               – the last frame has been played; playback pauses
+ */
+
+const fs           = require('fs');
+const zlib         = require('zlib');
+const EventEmitter = require('events');
+
+const TICK_MS = 50;
+const SPEEDS  = [0.25, 0.5, 1, 2, 4, 8, 16];
+
+// Fast path for the fixed prefix the recorder writes, so we can index a file
+// without JSON.parse-ing every line.
+const PREFIX_RE = /^\{"t":(\d+),"type":"(\w+)"/;
+
+/** Read a recording from disk, transparently gunzipping it when needed. */
+function readRecording(file) {
+  let buf = fs.readFileSync(file);
+  // gzip magic number 1f 8b – don't trust the file extension
+  if (buf.length > 2 && buf[0] === 0x1f && buf[1] === 0x8b) buf = zlib.gunzipSync(buf);
+  const lines = buf.toString('utf8').split('\n');
+
+  let header = null;
+  const frames = [];
+  for (const line of lines) {
+    if (!line) continue;
+    const m = PREFIX_RE.exec(line);
+    if (m) {
+      frames.push({ t: Number(m[1]), type: m[2], raw: line });
+      continue;
+    }
+    const obj = JSON.parse(line);
+    if (obj.type === 'Header') header = obj;
+    else frames.push({ t: obj.t ?? 0, type: obj.type, raw: line });
+  }
+
+  if (!header) throw new Error(`${file} is not a pitwall recording (missing header)`);
+  frames.sort((a, b) => a.t - b.t);
+  return { header, frames };
+}
+
+/**
+ * Load `file` and return a paused replay emitter.  Call start() once the
+ * listeners are attached.
+ */
+function createReplay(file, { speed = 1 } = {}) {
+  const { header, frames } = readRecording(file);
+  const emitter   = new EventEmitter();
+  const startedAt = Date.parse(header.startedAt) || 0;
+  const duration  = frames.length ? frames[frames.length - 1].t : 0;
+
+  let cursor   = 0;     // index of the next frame to emit
+  let position = 0;     // virtual clock, ms since recording start
+  let paused   = true;
+  let ended    = false;
+  let lastTick = Date.now();
+  let timer    = null;
+
+  function emitFrame(frame) {
+    const entry     = JSON.parse(frame.raw);
+    const timestamp = new Date(startedAt + frame.t);
+    switch (frame.type) {
+      case 'SessionInfo':  emitter.emit('SessionInfo', { timestamp, data: entry.data }); break;
+      case 'Telemetry':    emitter.emit('Telemetry', { timestamp, values: entry.data }); break;
+      case 'Connected':    emitter.emit('Connected'); break;
+      case 'Disconnected': emitter.emit('Disconnected'); break;
+      default: break; // unknown event types from newer recordings are skipped
+    }
+  }
+
+  function tick() {
+    const now = Date.now();
+    if (!paused) position = Math.min(duration, position + (now - lastTick) * speed);
+    lastTick = now;
+
+    while (cursor < frames.length && frames[cursor].t <= position) {
+      emitFrame(frames[cursor++]);
+    }
+
+    if (!ended && cursor >= frames.length && position >= duration) {
+      ended  = true;
+      paused = true;
+      emitter.emit('End');
+    }
+  }
+
+  /**
+   * Jump the clock to `target` ms.  Rather than re-emitting every frame in
+   * between, only the state that is current at `target` is sent: the latest
+   * connection event, the latest SessionInfo and the latest Telemetry frame.
+   */
+  function seekTo(target) {
+    const from = position;
+    target = Math.max(0, Math.min(duration, target));
+
+    let conn = null, si = null, tel = null, i = 0;
+    for (; i < frames.length && frames[i].t <= target; i++) {
+      const f = frames[i];
+      if (f.type === 'Connected' || f.type === 'Disconnected') conn = f;
+      else if (f.type === 'SessionInfo') si = f;
+      else if (f.type === 'Telemetry') tel = f;
+    }
+
+    emitter.emit('Seek', { from, to: target });
+    if (conn) emitFrame(conn);
+    if (si)   emitFrame(si);
+    if (tel)  emitFrame(tel);
+
+    cursor   = i;
+    position = target;
+    ended    = false;
+    lastTick = Date.now();
+  }
+
+  Object.assign(emitter, {
+    header,
+    duration,
+
+    start() {
+      if (timer) return;
+      paused   = false;
+      lastTick = Date.now();
+      timer    = setInterval(tick, TICK_MS);
+      tick();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    togglePause() {
+      if (ended) seekTo(0);
+      paused   = !paused;
+      lastTick = Date.now();
+    },
+
+    /** Step to the next / previous entry in SPEEDS. */
+    changeSpeed(direction) {
+      const i    = SPEEDS.findIndex(s => s >= speed);
+      const next = Math.max(0, Math.min(SPEEDS.length - 1, (i === -1 ? SPEEDS.length - 1 : i) + direction));
+      speed = SPEEDS[next];
+    },
+
+    seekBy(deltaMs) { seekTo(position + deltaMs); },
+    seekTo,
+
+    status() {
+      return { position, duration, speed, paused, ended };
+    },
+  });
+
+  return emitter;
+}
+
+module.exports = { createReplay, readRecording };
@@ -0,0 +1,276 @@
+'use strict';
+
+/**
+ * Post-session reports: the final classification as CSV and JSON, plus a
+ * standalone HTML page with the classification, a lap-time chart and a
+ * position-by-lap chart.
+ *
+ * The caller builds the report object (see index.js) from what the app has
+ * tracked; this module only lays it out and writes the files.  Charts are
+ * inline SVG generated here, so the HTML opens anywhere without scripts or a
+ * network connection.
+ *
+ * Report shape:
+ *   { app, version, generatedAt,
+ *     session:        { type, track, subSessionId, sessionNum, sof },
+ *     classification: [{ position, classPosition, carIdx, carClass, classColor,
+ *                         number, team, driver, license, iRating, iRatingDelta,
+ *                         laps, bestLap, lastLap, gap, incidents, pitStops,
+ *                         driveTimes: [{ driver, time }] | null }],
+ *     laps:           { [carIdx]: [{ lap, time, pit, endedAt }] } }
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const { formatLapTime } = require('./format');
+
+const CSV_COLUMNS = [
+  ['Pos',          r => r.position],
+  ['Class',        r => r.carClass],
+  ['Class Pos',    r => r.classPosition],
+  ['Number',       r => r.number],
+  ['Team',         r => r.team],
+  ['Driver',       r => r.driver],
+  ['License',      r => r.license],
+  ['iRating',      r => r.iRating],
+  ['iRating Delta', r => r.iRatingDelta],
+  ['Laps',         r => r.laps],
+  ['Best Lap',     r => r.bestLap],
+  ['Last Lap',     r => r.lastLap],
+  ['Gap',          r => gapText(r.gap)],
+  ['Incidents',    r => r.incidents],
+  ['Pit Stops',    r => r.pitStops],
+];
+
+// Chart line colours, one per car in classification order.  Class colours
+// would draw a whole class in the same colour, so they are kept to the table.
+const PALETTE = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948',
+                 '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'];
+
+/** "+12.345" / "+2L" / "" for a gap in the N × 3600 lapped encoding. */
+function gapText(gap) {
+  if (gap == null) return '';
+  if (gap >= 3600) return `+${Math.round(gap / 3600)}L`;
+  return gap === 0 ? '' : `+${gap.toFixed(3)}`;
+}
+
+/** M:SS.mmm, or an empty string when there is no time. */
+function lapText(seconds) {
+  return seconds > 0 ? formatLapTime(seconds) : '';
+}
+
+function csvField(value) {
+  if (value == null) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(report) {
+  const lines = [CSV_COLUMNS.map(([head]) => csvField(head)).join(',')];
+  for (const row of report.classification) {
+    lines.push(CSV_COLUMNS.map(([, get]) => csvField(get(row))).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+  ));
+}
+
+/**
+ * Position of every car at the end of each lap, worked out from when each
+ * car completed it: on lap N the cars that completed N laps are ranked by
+ * the time they crossed the line.  Returns { [carIdx]: positions } indexed
+ * by lap number, with holes for laps a car has no record of.
+ */
+function positionsByLap(laps) {
+  const crossings = {}; // lap number → [{ carIdx, endedAt }]
+  for (const [carIdx, history] of Object.entries(laps)) {
+    for (const l of history) {
+      (crossings[l.lap] = crossings[l.lap] ?? []).push({ carIdx, endedAt: l.endedAt });
+    }
+  }
+
+  const positions = {};
+  const lapNums   = Object.keys(crossings).map(Number).sort((a, b) => a - b);
+  for (const carIdx of Object.keys(laps)) positions[carIdx] = [];
+  for (const lap of lapNums) {
+    crossings[lap].sort((a, b) => a.endedAt - b.endedAt);
+    crossings[lap].forEach(({ carIdx }, i) => { positions[carIdx][lap] = i + 1; });
+  }
+  return positions;
+}
+
+/**
+ * Generic line chart: `series` is [{ name, color, points: [[x, y], …] }].
+ * `invertY` puts small values at the top (positions).
+ */
+function svgChart({ title, series, xLabel, yLabel, yFormat, invertY = false, yMin, yMax }) {
+  const W = 960, H = 420;
+  const pad = { left: 70, right: 170, top: 36, bottom: 44 };
+  const all = series.flatMap(s => s.points);
+  if (all.length === 0) return `<p class="empty">${escapeHtml(title)}: no data</p>`;
+
+  const xMin = Math.min(...all.map(p => p[0]));
+  const xMax = Math.max(xMin + 1, ...all.map(p => p[0]));
+  const lo   = yMin ?? Math.min(...all.map(p => p[1]));
+  const hi   = Math.max(lo + 1e-6, yMax ?? Math.max(...all.map(p => p[1])));
+
+  const x = v => pad.left + (v - xMin) / (xMax - xMin) * (W - pad.left - pad.right);
+  const y = (v) => {
+    const f = (Math.min(hi, Math.max(lo, v)) - lo) / (hi - lo);
+    return invertY ? pad.top + f * (H - pad.top - pad.bottom) : H - pad.bottom - f * (H - pad.top - pad.bottom);
+  };
+
+  const out = [`<svg viewBox="0 0 ${W} ${H}" role="img" aria-label="${escapeHtml(title)}">`];
+  out.push(`<text x="${pad.left}" y="22" class="title">${escapeHtml(title)}</text>`);
+
+  // Grid: about six lines on each axis.
+  const yStep = (hi - lo) / 6;
+  for (let i = 0; i <= 6; i++) {
+    const v = lo + i * yStep;
+    out.push(`<line x1="${pad.left}" x2="${W - pad.right}" y1="${y(v)}" y2="${y(v)}" class="grid"/>`);
+    out.push(`<text x="${pad.left - 6}" y="${y(v) + 4}" class="tick" text-anchor="end">${escapeHtml(yFormat(v))}</text>`);
+  }
+  const xStep = Math.max(1, Math.ceil((xMax - xMin) / 12));
+  for (let v = xMin; v <= xMax; v += xStep) {
+    out.push(`<text x="${x(v)}" y="${H - pad.bottom + 16}" class="tick" text-anchor="middle">${v}</text>`);
+  }
+  out.push(`<text x="${(pad.left + W - pad.right) / 2}" y="${H - 6}" class="axis" text-anchor="middle">${escapeHtml(xLabel)}</text>`);
+  out.push(`<text x="14" y="${(pad.top + H - pad.bottom) / 2}" class="axis" text-anchor="middle" transform="rotate(-90 14 ${(pad.top + H - pad.bottom) / 2})">${escapeHtml(yLabel)}</text>`);
+
+  series.forEach((s, i) => {
+    if (s.points.length === 0) return;
+    const d = s.points.map(([px, py], j) => `${j ? 'L' : 'M'}${x(px).toFixed(1)},${y(py).toFixed(1)}`).join(' ');
+    out.push(`<path d="${d}" stroke="${s.color}" class="line"><title>${escapeHtml(s.name)}</title></path>`);
+    const ly = pad.top + i * ((H - pad.top - pad.bottom) / Math.max(1, series.length - 1));
+    out.push(`<text x="${W - pad.right + 8}" y="${Math.min(H - pad.bottom, ly) + 4}" class="legend" fill="${s.color}">${escapeHtml(s.name)}</text>`);
+  });
+
+  out.push('</svg>');
+  return out.join('\n');
+}
+
+function median(xs) {
+  const s = [...xs].sort((a, b) => a - b);
+  return s.length ? s[Math.floor(s.length / 2)] : null;
+}
+
+function toHtml(report) {
+  const { session, classification, laps } = report;
+  const color = i => PALETTE[i % PALETTE.length];
+  const label = row => `#${row.number} ${row.driver}`;
+
+  // Lap chart: clean laps only, with the y range cut off well above a normal
+  // lap so one spin doesn't flatten everyone else's line.
+  const lapSeries = classification.map((row, i) => ({
+    name:   label(row),
+    color:  color(i),
+    points: (laps[row.carIdx] ?? []).filter(l => l.time > 0 && !l.pit).map(l => [l.lap, l.time]),
+  }));
+  const times = lapSeries.flatMap(s => s.points.map(p => p[1]));
+  const lapChart = svgChart({
+    title:   'Lap times',
+    series:  lapSeries,
+    xLabel:  'Lap',
+    yLabel:  'Lap time',
+    yFormat: lapText,
+    yMin:    times.length ? Math.min(...times) : undefined,
+    yMax:    times.length ? Math.min(Math.max(...times), median(times) * 1.1) : undefined,
+  });
+
+  const positions = positionsByLap(laps);
+  const posSeries = classification.map((row, i) => ({
+    name:   label(row),
+    color:  color(i),
+    points: (positions[row.carIdx] ?? []).map((p, lap) => (p ? [lap, p] : null)).filter(Boolean),
+  }));
+  const posChart = svgChart({
+    title:   'Position by lap',
+    series:  posSeries,
+    xLabel:  'Lap',
+    yLabel:  'Position',
+    yFormat: v => `P${Math.round(v)}`,
+    invertY: true,
+    yMin:    1,
+    yMax:    Math.max(2, classification.length),
+  });
+
+  const rows = classification.map(r => `<tr>
+  <td>P${r.position}</td><td style="color:${escapeHtml(r.classColor || 'inherit')}">${escapeHtml(r.carClass)}</td><td>P${r.classPosition}</td>
+  <td>#${escapeHtml(r.number)}</td><td class="left">${escapeHtml(r.driver)}</td><td>${escapeHtml(r.license)}</td>
+  <td>${r.laps}</td><td>${lapText(r.bestLap)}</td><td>${lapText(r.lastLap)}</td><td>${gapText(r.gap)}</td>
+  <td>${r.iRating ?? ''}</td><td>${r.iRatingDelta != null ? (r.iRatingDelta >= 0 ? '+' : '') + r.iRatingDelta : ''}</td>
+  <td>${r.incidents ?? ''}</td><td>${r.pitStops}</td>
+</tr>`).join('\n');
+
+  const heading = `${session.type} – ${session.track}`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(heading)}</title>
+<style>
+  body   { font-family: system-ui, sans-serif; background: #15171c; color: #e6e6e6; margin: 24px; }
+  h1     { font-size: 20px; margin: 0 0 4px; }
+  .meta  { color: #999; margin-bottom: 20px; }
+  table  { border-collapse: collapse; margin-bottom: 28px; font-variant-numeric: tabular-nums; }
+  th, td { padding: 4px 10px; border-bottom: 1px solid #2c2f36; text-align: right; }
+  th     { color: #aaa; font-weight: 600; }
+  .left  { text-align: left; }
+  svg    { width: 100%; max-width: 960px; background: #1c1f26; margin-bottom: 28px; }
+  .grid  { stroke: #2c2f36; }
+  .tick, .axis { fill: #888; font-size: 11px; }
+  .title { fill: #e6e6e6; font-size: 14px; font-weight: 600; }
+  .legend { font-size: 11px; }
+  .line  { fill: none; stroke-width: 1.6; }
+  .empty { color: #888; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(heading)}</h1>
+<div class="meta">Subsession ${escapeHtml(session.subSessionId ?? '–')} · SOF ${escapeHtml(session.sof ?? 'N/A')} · generated ${escapeHtml(report.generatedAt)} by ${escapeHtml(report.app)} ${escapeHtml(report.version)}</div>
+<table>
+<tr><th>Pos</th><th class="left">Class</th><th>Cls</th><th>#</th><th class="left">Driver</th><th>Lic</th><th>Laps</th><th>Best</th><th>Last</th><th>Gap</th><th>iR</th><th>Δ iR</th><th>Inc</th><th>Stops</th></tr>
+${rows}
+</table>
+${lapChart}
+${posChart}
+</body>
+</html>
+`;
+}
+
+/** File name stem for a report: track, session type and subsession, filesystem-safe. */
+function reportName(report) {
+  const { session } = report;
+  const date = report.generatedAt.slice(0, 10);
+  return [date, session.track, session.type, session.subSessionId || session.sessionNum]
+    .map(part => String(part ?? '').replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^-+|-+$/g, ''))
+    .filter(Boolean)
+    .join('_');
+}
+
+/**
+ * Write the CSV, JSON and HTML reports into `dir` (created if needed).
+ * Synchronous so it also works from the exit path.  Writing the same session
+ * again overwrites its files.  Returns the paths written.
+ */
+function writeReports(dir, report) {
+  fs.mkdirSync(dir, { recursive: true });
+  const stem  = path.join(dir, reportName(report));
+  const files = {
+    csv:  `${stem}.csv`,
+    json: `${stem}.json`,
+    html: `${stem}.html`,
+  };
+  fs.writeFileSync(files.csv, toCsv(report));
+  fs.writeFileSync(files.json, JSON.stringify({ ...report, positionsByLap: positionsByLap(report.laps) }, null, 2));
+  fs.writeFileSync(files.html, toHtml(report));
+  return files;
+}
+
+module.exports = { writeReports, positionsByLap };
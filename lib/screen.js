@@ -0,0 +1,104 @@
+'use strict';
+
+/**
+ * Line-diffing terminal output.
+ *
+ * The display is drawn as a whole frame of lines every tick, but most lines
+ * are the same as last time – a lap timer ticks, a gap changes by a tenth.
+ * Rewriting the full screen for that is slow over SSH and flickers in some
+ * terminals, so the screen remembers the last frame and only rewrites the
+ * lines that differ, each addressed by its row.
+ *
+ * Lines are cut to the terminal width and the frame to its height: a line
+ * that wraps, or a frame that scrolls, would move everything under it and
+ * every remembered row would be wrong.  The last column is left empty – each
+ * line is followed by an erase to the end of the row, which would take a
+ * character printed there with it.  After a resize the terminal has
+ * reflowed whatever it held, so invalidate() forces the next frame to be
+ * drawn from a blank screen.
+ */
+
+// A CSI escape sequence (colours, cursor moves) – the only kind chalk and
+// this module write.  Sticky, for matching at a position.
+// eslint-disable-next-line no-control-regex
+const ANSI_RE = /\x1B\[[0-9;?]*[A-Za-z]/y;
+
+/** Columns a code point takes up: 2 for emoji and CJK, else 1. */
+function charWidth(code) {
+  if (code >= 0x1F000) return 2;
+  if ((code >= 0x1100 && code <= 0x115F) || (code >= 0x2E80 && code <= 0xA4CF) ||
+      (code >= 0xAC00 && code <= 0xD7A3) || (code >= 0xF900 && code <= 0xFAFF) ||
+      (code >= 0xFF00 && code <= 0xFF60)) return 2;
+  if (code >= 0xFE00 && code <= 0xFE0F) return 0; // variation selectors
+  return 1;
+}
+
+/**
+ * Cut a styled line to `width` columns.  Escape sequences take no room and
+ * are kept; a cut line ends with a style reset so colour can't leak into the
+ * rest of the row.
+ */
+function truncate(line, width) {
+  let out  = '';
+  let used = 0;
+  let i    = 0;
+  while (i < line.length) {
+    ANSI_RE.lastIndex = i;
+    const esc = ANSI_RE.exec(line);
+    if (esc) {
+      out += esc[0];
+      i   += esc[0].length;
+      continue;
+    }
+    const code = line.codePointAt(i);
+    const w    = charWidth(code);
+    if (used + w > width) return out + '\x1B[0m';
+    const ch = String.fromCodePoint(code);
+    out  += ch;
+    used += w;
+    i    += ch.length;
+  }
+  return out;
+}
+
+/** `text` with its escape sequences removed. */
+function stripAnsi(text) {
+  return String(text).replace(new RegExp(ANSI_RE.source, 'g'), '');
+}
+
+/**
+ * Create a screen writing to `stream` (a TTY).  draw(lines) shows a frame,
+ * invalidate() makes the next one a full redraw.
+ */
+function createScreen(stream) {
+  let shown = null; // lines on screen now; null = unknown, redraw everything
+
+  return {
+    draw(lines) {
+      const width  = stream.columns || 120;
+      const height = stream.rows || 40;
+      const frame  = lines.slice(0, height).map(l => truncate(l, width - 1));
+
+      let out = '';
+      if (!shown) {
+        out   = '\x1B[H\x1B[2J';
+        shown = [];
+      }
+      frame.forEach((line, row) => {
+        if (line !== shown[row]) out += `\x1B[${row + 1};1H${line}\x1B[K`;
+      });
+      // Clear whatever a taller previous frame left below this one.
+      if (frame.length < shown.length) out += `\x1B[${frame.length + 1};1H\x1B[J`;
+      shown = frame;
+
+      // Hide the cursor while lines are rewritten and park it under the frame.
+      if (out) stream.write(`\x1B[?25l${out}\x1B[${Math.min(frame.length + 1, height)};1H\x1B[?25h`);
+    },
+
+    invalidate() {
+      shown = null;
+    },
+  };
+}
+
+module.exports = { createScreen, truncate, stripAnsi, ANSI_RE };
@@ -0,0 +1,178 @@
+'use strict';
+
+/**
+ * Live sector timing from SplitTimeInfo.
+ *
+ * The session YAML lists where each sector starts as a fraction of the lap
+ * (SplitTimeInfo.Sectors[].SectorStartPct, the first always 0).  A sector
+ * time is the SessionTime between a car crossing one boundary and the next,
+ * each crossing interpolated between the two telemetry samples either side
+ * of it.
+ *
+ * Only CarIdxLapDistPct is used – the lap counter can update a frame before
+ * or after the distance at the line, so the wrap from ~1 back to ~0 is what
+ * marks the line.  A jump of more than MAX_STEP of a lap in one sample (a tow,
+ * a reset, a replay seek) throws the car's current lap away, since the sector
+ * it was in can no longer be timed.
+ */
+
+const MAX_STEP = 0.1; // lap fraction; more than this between samples is a discontinuity
+
+/**
+ * Sector start percentages from session info, sorted, e.g. [0, 0.33, 0.71].
+ * Empty when the session has no split information.
+ */
+function parseSectors(sessionInfo) {
+  const sectors = sessionInfo?.SplitTimeInfo?.Sectors;
+  if (!Array.isArray(sectors)) return [];
+  const starts = sectors
+    .map(s => parseFloat(s.SectorStartPct))
+    .filter(p => p >= 0 && p < 1)
+    .sort((a, b) => a - b);
+  if (starts.length === 0 || starts[0] !== 0) starts.unshift(0);
+  return [...new Set(starts)];
+}
+
+function emptyCar() {
+  return {
+    pct:         null, // CarIdxLapDistPct at the previous sample
+    time:        null, // SessionTime at the previous sample
+    sector:      null, // index of the sector being run, null until a boundary is crossed
+    sectorStart: null, // SessionTime the current sector started
+    current:     [],   // sector times of the lap in progress
+    last:        [],   // sector times of the previous lap
+    best:        [],   // personal best per sector
+  };
+}
+
+/**
+ * Create a tracker timing every car's sectors.  `update()` needs the sector
+ * starts from parseSectors(); reset it when a new session starts.
+ */
+function createSectorTracker() {
+  let cars   = {};
+  let starts = [];
+
+  /** Close the sector `car` is in at `t` and start the one at boundary `k`. */
+  function cross(car, k, t) {
+    if (car.sector !== null && k === (car.sector + 1) % starts.length) {
+      const time = t - car.sectorStart;
+      car.current[car.sector] = time;
+      if (!(car.best[car.sector] <= time)) car.best[car.sector] = time;
+    }
+    if (k === 0) {
+      car.last    = car.current;
+      car.current = [];
+    }
+    car.sector      = k;
+    car.sectorStart = t;
+  }
+
+  return {
+    /** Feed one telemetry snapshot along with the sector starts. */
+    update(tel, sectorStarts) {
+      if (sectorStarts.join() !== starts.join()) {
+        // Different sector layout – nothing measured so far is comparable.
+        cars   = {};
+        starts = sectorStarts;
+      }
+      const now  = tel.SessionTime;
+      const pcts = tel.CarIdxLapDistPct ?? [];
+      if (now == null || starts.length === 0) return;
+
+      for (let idx = 0; idx < pcts.length; idx++) {
+        const pct = pcts[idx];
+        if (pct == null || pct < 0) {
+          if (cars[idx]) cars[idx].pct = null;
+          continue;
+        }
+
+        const car = cars[idx] ?? (cars[idx] = emptyCar());
+        if (car.pct === null) {
+          // (Re)appearing: the sector it is in was not timed from its start.
+          car.sector  = car.sectorStart = null;
+          car.current = [];
+          car.pct     = pct;
+          car.time    = now;
+          continue;
+        }
+
+        let step = pct - car.pct;
+        if (step < -0.5) step += 1; // wrapped past the line
+        if (step < 0) continue;     // rolled backwards a little – wait for it to move on
+        if (step > MAX_STEP) {
+          car.sector  = car.sectorStart = null;
+          car.current = [];
+          car.pct     = pct;
+          car.time    = now;
+          continue;
+        }
+
+        // Boundaries passed between the two samples, in order; the line is
+        // at 0 and again at 1 after wrapping.
+        const from = car.pct;
+        const to   = from + step;
+        const hits = [];
+        starts.forEach((b, k) => {
+          if (b > from && b <= to)         hits.push({ k, at: b });
+          if (b + 1 > from && b + 1 <= to) hits.push({ k, at: b + 1 });
+        });
+        hits.sort((a, b) => a.at - b.at);
+        for (const { k, at } of hits) {
+          cross(car, k, car.time + (at - from) / step * (now - car.time));
+        }
+
+        car.pct  = pct;
+        car.time = now;
+      }
+    },
+
+    /**
+     * { sector, current, last, best } for one car – sector is the index of
+     * the sector being run, the arrays hold sector times in seconds with
+     * holes for sectors not timed.  null if the car has never been seen.
+     */
+    get(idx) {
+      const car = cars[idx];
+      if (!car) return null;
+      return { sector: car.sector, current: car.current, last: car.last, best: car.best };
+    },
+
+    /** Number of sectors in the current layout. */
+    count() {
+      return starts.length;
+    },
+
+    reset() {
+      cars = {};
+    },
+  };
+}
+
+/**
+ * Best time per sector across the given sector records (from get()), for
+ * picking out the session-best sectors.
+ */
+function bestSectors(records) {
+  const best = [];
+  for (const rec of records) {
+    if (!rec) continue;
+    rec.best.forEach((t, i) => {
+      if (t != null && !(best[i] <= t)) best[i] = t;
+    });
+  }
+  return best;
+}
+
+/** Sum of the personal best sectors, or null until every sector has a time. */
+function theoreticalBest(rec, count) {
+  if (!rec || count === 0) return null;
+  let sum = 0;
+  for (let i = 0; i < count; i++) {
+    if (rec.best[i] == null) return null;
+    sum += rec.best[i];
+  }
+  return sum;
+}
+
+module.exports = { createSectorTracker, parseSectors, bestSectors, theoreticalBest };
@@ -0,0 +1,202 @@
+'use strict';
+
+/**
+ * Local HTTP + WebSocket server for the standings model (--serve <port>).
+ *
+ *   GET /            – index of the endpoints below
+ *   GET /standings   – the latest standings as JSON
+ *   WS  /ws          – the same JSON pushed every `interval` ms (and at once
+ *                      on connect)
+ *
+ * The server binds to 127.0.0.1 only: it is meant for overlays and a second
+ * screen on the same machine, never for the network.  Every response carries
+ * Access-Control-Allow-Origin: * so browser sources loaded from a file can
+ * fetch from it.
+ *
+ * WebSocket support is the minimum RFC 6455 needs for a server that only
+ * pushes: the opening handshake, unfragmented text frames out, and ping /
+ * close handling for frames coming in.  Anything else a client sends is
+ * ignored.
+ */
+
+const http   = require('http');
+const crypto = require('crypto');
+
+const WS_GUID          = '258EAFA5-E914-47DA-95CA-C5AB0DC11D65';
+const DEFAULT_INTERVAL = 500; // ms between WebSocket pushes
+const MAX_CLIENT_FRAME = 64 * 1024; // clients only send control frames; anything bigger is dropped
+
+const OP_TEXT  = 0x1;
+const OP_CLOSE = 0x8;
+const OP_PING  = 0x9;
+const OP_PONG  = 0xa;
+
+/** Encode one unmasked, unfragmented server frame. */
+function encodeFrame(opcode, payload) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeUInt32BE(Math.floor(len / 2 ** 32), 2);
+    header.writeUInt32BE(len >>> 0, 6);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Pull complete frames off the front of `buf`.  Returns { frames, rest }
+ * where each frame is { opcode, payload } with the client mask removed, or
+ * null when the client sent something too large to be a control frame.
+ */
+function decodeFrames(buf) {
+  const frames = [];
+  let off = 0;
+  while (buf.length - off >= 2) {
+    const opcode = buf[off] & 0x0f;
+    const masked = (buf[off + 1] & 0x80) !== 0;
+    let len      = buf[off + 1] & 0x7f;
+    let pos      = off + 2;
+    if (len === 126) {
+      if (buf.length - pos < 2) break;
+      len = buf.readUInt16BE(pos);
+      pos += 2;
+    } else if (len === 127) {
+      if (buf.length - pos < 8) break;
+      len = buf.readUInt32BE(pos) * 2 ** 32 + buf.readUInt32BE(pos + 4);
+      pos += 8;
+    }
+    if (len > MAX_CLIENT_FRAME) return null;
+
+    const maskLen = masked ? 4 : 0;
+    if (buf.length - pos < maskLen + len) break;
+    const payload = Buffer.from(buf.subarray(pos + maskLen, pos + maskLen + len));
+    if (masked) {
+      for (let i = 0; i < len; i++) payload[i] ^= buf[pos + (i % 4)];
+    }
+    frames.push({ opcode, payload });
+    off = pos + maskLen + len;
+  }
+  return { frames, rest: buf.subarray(off) };
+}
+
+/**
+ * Start the server.
+ *
+ *   port     – TCP port on 127.0.0.1
+ *   interval – ms between WebSocket pushes
+ *   snapshot – () => object; the JSON-able standings, called per request and
+ *              per push
+ *   onError  – called with listen errors (port in use, …)
+ *
+ * Returns { close() }.
+ */
+function createStandingsServer({ port, interval = DEFAULT_INTERVAL, snapshot, onError }) {
+  const clients = new Set();
+
+  function sendJson(res, status, body) {
+    res.writeHead(status, {
+      'Content-Type':                'application/json; charset=utf-8',
+      'Cache-Control':               'no-store',
+      'Access-Control-Allow-Origin': '*',
+    });
+    res.end(JSON.stringify(body));
+  }
+
+  const server = http.createServer((req, res) => {
+    const path = req.url.split('?')[0];
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin':  '*',
+        'Access-Control-Allow-Methods': 'GET',
+      });
+      res.end();
+    } else if (req.method !== 'GET') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+    } else if (path === '/standings') {
+      sendJson(res, 200, snapshot());
+    } else if (path === '/') {
+      sendJson(res, 200, {
+        endpoints: {
+          '/standings': 'latest standings (JSON)',
+          '/ws':        `WebSocket; standings pushed every ${interval} ms`,
+        },
+      });
+    } else {
+      sendJson(res, 404, { error: 'Not found' });
+    }
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (req.url.split('?')[0] !== '/ws' || !key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+      socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+      return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write(
+      'HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    socket.setNoDelay(true);
+    clients.add(socket);
+
+    let pending = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      const decoded = decodeFrames(Buffer.concat([pending, chunk]));
+      if (!decoded) { socket.destroy(); return; }
+      pending = decoded.rest;
+      for (const { opcode, payload } of decoded.frames) {
+        if (opcode === OP_PING) {
+          socket.write(encodeFrame(OP_PONG, payload));
+        } else if (opcode === OP_CLOSE) {
+          socket.end(encodeFrame(OP_CLOSE, payload.subarray(0, 2)));
+          clients.delete(socket);
+        }
+      }
+    });
+    socket.on('close', () => clients.delete(socket));
+    socket.on('error', () => clients.delete(socket));
+
+    socket.write(encodeFrame(OP_TEXT, Buffer.from(JSON.stringify(snapshot()))));
+  });
+
+  const timer = setInterval(() => {
+    if (clients.size === 0) return;
+    const frame = encodeFrame(OP_TEXT, Buffer.from(JSON.stringify(snapshot())));
+    for (const socket of clients) {
+      // A client that stops reading shouldn't make us buffer without limit;
+      // skip it until it has caught up.
+      if (socket.writableLength > frame.length * 4) continue;
+      socket.write(frame);
+    }
+  }, interval);
+
+  server.on('error', (err) => {
+    clearInterval(timer);
+    if (onError) onError(err);
+  });
+  server.listen(port, '127.0.0.1');
+
+  return {
+    close() {
+      clearInterval(timer);
+      for (const socket of clients) socket.destroy();
+      clients.clear();
+      server.close();
+    },
+  };
+}
+
+module.exports = { createStandingsServer };
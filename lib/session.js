@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * Session-type rules: how the standings are ranked and what a car is doing
+ * in each kind of session.
+ *
+ * Races are ranked on the road – laps completed plus distance into the lap.
+ * Everywhere else (practice, qualifying, testing, warm-up) distance driven
+ * means nothing and cars are ranked by their best lap, like iRacing's own
+ * timing screen.
+ */
+
+// Timed laps in a lone-qualifying run after the out-lap.  iRacing doesn't
+// publish the figure in the session info; two is what every series uses.
+const LONE_QUALIFY_LAPS = 2;
+
+/**
+ * Classify a SessionType string from the session info:
+ *   'race' | 'lone' (lone qualifying) | 'qualify' (open qualifying) | 'practice'
+ * Testing, warm-up and anything unknown count as practice.
+ */
+function sessionKind(sessionType) {
+  const type = String(sessionType ?? '').toLowerCase();
+  if (type.includes('race'))    return 'race';
+  if (type.includes('lone'))    return 'lone';
+  if (type.includes('qualify')) return 'qualify';
+  return 'practice';
+}
+
+/**
+ * Standings comparator for timed (non-race) sessions: cars with a lap time
+ * by best lap, then the rest by laps run – a car out on track but not yet
+ * timed sorts above one sitting in the garage.
+ */
+function compareBestLap(a, b) {
+  const aT = a.bestLap > 0 ? a.bestLap : Infinity;
+  const bT = b.bestLap > 0 ? b.bestLap : Infinity;
+  if (aT !== bT) return aT - bT;
+  return (b.laps ?? 0) - (a.laps ?? 0);
+}
+
+/**
+ * What a car is doing in a lone-qualifying run:
+ *   'pit' – on pit road
+ *   'out' – on the out-lap (left pit road during this lap)
+ *   'hot' – on one of the timed laps
+ *   'in'  – timed laps done, heading back in
+ * `laps` is the car's lap history and `current` its lap in progress (both
+ * from the lap tracker).  null when the car isn't on track.
+ */
+function qualifyPhase({ laps, current, onPitRoad, inWorld }) {
+  if (!inWorld || !current) return null;
+  if (onPitRoad)   return 'pit';
+  if (current.pit) return 'out';
+
+  // Laps completed since the last one that touched pit road are the timed
+  // laps of this run.  A car first seen out on track is assumed to be timing.
+  let timed = 0;
+  for (let i = laps.length - 1; i >= 0 && !laps[i].pit; i--) timed++;
+  return timed < LONE_QUALIFY_LAPS ? 'hot' : 'in';
+}
+
+module.exports = { sessionKind, compareBestLap, qualifyPhase, LONE_QUALIFY_LAPS };
@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * Session status for the header bar: the global flag, pacing under a start
+ * or caution, and track conditions.
+ *
+ * SessionFlags arrives as an array of bit names ("Green", "Caution",
+ * "OneLapToGreen", "StartReady" …), PaceMode and TrackWetness as enum names
+ * ("PaceModeDoubleFileRestart", "MostlyDry").
+ */
+
+// Most serious first – a red flag outranks everything still set alongside it.
+const FLAG_STATES = [
+  { key: 'red',       label: '⚑ RED FLAG – SESSION STOPPED', bits: ['red'] },
+  { key: 'checkered', label: '⚑ CHECKERED FLAG',             bits: ['checkered'] },
+  { key: 'caution',   label: '⚑ CAUTION',                    bits: ['caution', 'cautionwaving'] },
+  { key: 'white',     label: '⚑ WHITE FLAG – FINAL LAP',     bits: ['white'] },
+  { key: 'yellow',    label: '⚑ LOCAL YELLOW',               bits: ['yellow', 'yellowwaving'] },
+  { key: 'green',     label: '⚑ GREEN FLAG',                 bits: ['green', 'startgo'] },
+];
+
+/**
+ * The flag that describes the session as a whole, or null when none is out
+ * (practice usually runs without one).  Returns { key, label }.
+ */
+function flagState(sessionFlags) {
+  const flags = (sessionFlags ?? []).map(f => String(f).toLowerCase());
+  const state = FLAG_STATES.find(s => s.bits.some(b => flags.includes(b)));
+  return state ? { key: state.key, label: state.label } : null;
+}
+
+/**
+ * What the field is doing behind the pace car, or null at racing speed.
+ * Returns { restart, doubleFile, oneLapToGreen, lights }, `lights` being
+ * 'ready' | 'set' | 'go' | null for a standing / rolling start sequence.
+ */
+function pacingState(tel) {
+  const mode  = String(tel.PaceMode ?? '');
+  const flags = (tel.SessionFlags ?? []).map(f => String(f).toLowerCase());
+  if (!mode.startsWith('PaceMode') || mode === 'PaceModeNotPacing') return null;
+  return {
+    restart:       mode.endsWith('Restart'),
+    doubleFile:    mode.includes('DoubleFile'),
+    oneLapToGreen: flags.includes('onelaptogreen'),
+    lights:        flags.includes('startgo')    ? 'go'
+                 : flags.includes('startset')   ? 'set'
+                 : flags.includes('startready') ? 'ready'
+                 : null,
+  };
+}
+
+/** SDK enum name as words: "MostlyDry" → "Mostly dry", "ParadeLaps" → "Parade laps". */
+function enumLabel(name) {
+  if (name == null || name === 'Unknown' || name === 'Invalid') return null;
+  const words = String(name).replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/** Seconds since midnight → "14:05". */
+function timeOfDay(seconds) {
+  if (!(seconds >= 0)) return null;
+  const minutes = Math.floor(seconds / 60) % (24 * 60);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Seconds of leader progress used to measure the pace speed.
+const RATE_WINDOW = 3;
+
+/**
+ * Follow the leader under pacing: laps run since the caution came out and,
+ * on the last pace lap, an estimate of the seconds until the green.  The
+ * estimate is the leader's distance to the line at the speed it covered the
+ * last few seconds – pace cars hold a steady speed, so it settles quickly.
+ */
+function createPaceTracker() {
+  let cautionLap = null; // leader's lap when the caution came out
+  let samples    = [];   // { t, progress } of the leader, last RATE_WINDOW s
+  let leader     = null;
+  let state      = { cautionLaps: null, greenIn: null };
+
+  return {
+    /** Feed every telemetry sample. */
+    update(tel) {
+      const now   = tel.SessionTime;
+      const pos   = tel.CarIdxPosition ?? [];
+      const idx   = pos.indexOf(1);
+      const pct   = tel.CarIdxLapDistPct?.[idx];
+      const lap   = tel.CarIdxLap?.[idx];
+      const flags = (tel.SessionFlags ?? []).map(f => String(f).toLowerCase());
+      const under = flags.includes('caution') || flags.includes('cautionwaving');
+
+      if (idx < 0 || now == null || !(pct >= 0) || lap == null) {
+        state = { cautionLaps: null, greenIn: null };
+        return;
+      }
+      if (idx !== leader) samples = [];
+      leader = idx;
+
+      const progress = lap + pct;
+      samples.push({ t: now, progress });
+      while (samples.length > 1 && now - samples[0].t > RATE_WINDOW) samples.shift();
+
+      if (!under) cautionLap = null;
+      else if (cautionLap === null) cautionLap = lap;
+
+      let greenIn = null;
+      if (pacingState(tel)?.oneLapToGreen && samples.length > 1) {
+        const first = samples[0];
+        const rate  = (progress - first.progress) / (now - first.t);
+        if (rate > 0) greenIn = (1 - pct) / rate;
+      }
+      state = { cautionLaps: cautionLap === null ? null : lap - cautionLap, greenIn };
+    },
+
+    /** { cautionLaps, greenIn } – either may be null. */
+    get() {
+      return state;
+    },
+
+    reset() {
+      cautionLap = null;
+      samples    = [];
+      leader     = null;
+      state      = { cautionLaps: null, greenIn: null };
+    },
+  };
+}
+
+module.exports = { flagState, pacingState, enumLabel, timeOfDay, createPaceTracker };
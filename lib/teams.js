@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * Driver swaps and drive time for team events.
+ *
+ * In a team session each DriverInfo.Drivers entry is a car: TeamName names
+ * the team and UserName / UserID whoever is in the seat right now, so a
+ * driver change shows up as a different UserID on the same CarIdx.
+ *
+ * Drive time is clocked on SessionTime between telemetry samples while the
+ * car is in the world (on track or in the pits – both count towards
+ * drive-time rules).  A gap of more than MAX_STEP seconds between samples is
+ * a replay seek or a stall in the feed, not driving, and is skipped.
+ *
+ * A driver's stint runs from the moment they take the car until the next
+ * swap; pit stops without a swap don't end it (double stints count as one,
+ * which is what maximum-stint rules limit).
+ */
+
+const MAX_STEP = 5;
+
+function emptyCar() {
+  return {
+    driverId:    null,  // UserID of the driver in the seat
+    driverName:  null,
+    stintStart:  null,  // SessionTime the current driver took over
+    stintTime:   0,     // seconds driven since then
+    swaps:       0,
+    drivers:     new Map(), // UserID → { id, name, total }
+    lastTime:    null,  // SessionTime of the last sample the car was in the world
+  };
+}
+
+/**
+ * Create a tracker for every CarIdx.  Feed it every telemetry sample along
+ * with the current DriverInfo.Drivers; reset() when a new session starts.
+ */
+function createDriveTimeTracker() {
+  let cars = {};
+
+  return {
+    update(tel, drivers) {
+      const now  = tel.SessionTime;
+      const pcts = tel.CarIdxLapDistPct ?? [];
+      if (now == null) return;
+
+      for (const d of drivers ?? []) {
+        const idx = d.CarIdx;
+        // eslint-disable-next-line eqeqeq
+        if (idx == null || d.CarIsPaceCar == 1) continue;
+        const id   = String(d.UserID ?? d.UserName ?? idx);
+        const name = String(d.UserName ?? `Car #${idx}`);
+        const car  = cars[idx] ?? (cars[idx] = emptyCar());
+
+        if (car.driverId !== id) {
+          // The first driver seen is the starting one, anything after a swap.
+          if (car.driverId !== null) car.swaps++;
+          car.driverId   = id;
+          car.driverName = name;
+          car.stintStart = now;
+          car.stintTime  = 0;
+        }
+        if (!car.drivers.has(id)) car.drivers.set(id, { id, name, total: 0 });
+
+        const inWorld = pcts[idx] != null && pcts[idx] >= 0;
+        if (inWorld && car.lastTime != null) {
+          const step = now - car.lastTime;
+          if (step > 0 && step <= MAX_STEP) {
+            car.stintTime += step;
+            car.drivers.get(id).total += step;
+          }
+        }
+        car.lastTime = inWorld ? now : null;
+      }
+    },
+
+    /**
+     * { driverId, driverName, stintStart, stintTime, swaps, drivers } for a
+     * car; `drivers` lists everyone who has driven it, in order of first
+     * appearance.  null when the car has not been seen.
+     */
+    get(idx) {
+      const car = cars[idx];
+      if (!car) return null;
+      return {
+        driverId:   car.driverId,
+        driverName: car.driverName,
+        stintStart: car.stintStart,
+        stintTime:  car.stintTime,
+        swaps:      car.swaps,
+        drivers:    [...car.drivers.values()].map(d => ({ ...d })),
+      };
+    },
+
+    reset() {
+      cars = {};
+    },
+  };
+}
+
+/**
+ * How the current driver stands against the drive-time limits (seconds,
+ * null = no limit): { stintLeft, totalLeft, short } – time left before the
+ * stint / total maximum, and the team's drivers still under the minimum.
+ */
+function driveTimeLimits(team, { maxStint = null, maxDriveTime = null, minDriveTime = null }) {
+  const current = team.drivers.find(d => d.id === team.driverId);
+  return {
+    stintLeft: maxStint != null ? maxStint - team.stintTime : null,
+    totalLeft: maxDriveTime != null && current ? maxDriveTime - current.total : null,
+    short:     minDriveTime != null ? team.drivers.filter(d => d.total < minDriveTime) : [],
+  };
+}
+
+module.exports = { createDriveTimeTracker, driveTimeLimits };
@@ -0,0 +1,33 @@
+'use strict';
+
+/**
+ * Colour themes for values that read as good / bad: pace trends, interval
+ * changes, iRating deltas, consistency, personal-best sectors, fuel margins.
+ *
+ * The default theme uses the usual green / red.  The colour-blind theme swaps
+ * them for the blue / orange pair of the Okabe–Ito palette, which stays
+ * distinguishable with every common form of colour blindness; arrows and
+ * signs are kept as well so nothing relies on colour alone.
+ */
+
+const chalk = require('chalk');
+
+const THEMES = {
+  default: {
+    good: chalk.green,
+    bad:  chalk.red,
+    warn: chalk.yellow,
+  },
+  colorblind: {
+    good: chalk.hex('#56B4E9'), // sky blue
+    bad:  chalk.hex('#E69F00'), // orange
+    warn: chalk.hex('#F0E442'), // yellow
+  },
+};
+
+/** Theme by name (validated by lib/config.js). */
+function getTheme(name) {
+  return THEMES[name] ?? THEMES.default;
+}
+
+module.exports = { getTheme };
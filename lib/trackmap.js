@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * Track map layout: the lap drawn as one straight line from the start/finish
+ * line to itself, every car placed at its CarIdxLapDistPct.
+ *
+ * Cars are marked on the line itself, and their numbers are written on rows
+ * underneath, starting at the car's column.  When a number would overlap one
+ * already placed it drops to the next row; once the rows run out the car is
+ * only counted (a bunched pack behind the safety car can be a dozen cars in
+ * a few columns).
+ *
+ * Layout only – colouring is left to the caller.
+ */
+
+/**
+ * Column (0 … width-1) for a lap fraction.
+ */
+function columnOf(pct, width) {
+  const clamped = Math.max(0, Math.min(1, pct));
+  return Math.min(width - 1, Math.floor(clamped * width));
+}
+
+/**
+ * Lay out `cars` ({ distPct, label, ... }) on a line `width` columns wide with
+ * at most `maxRows` label rows.
+ *
+ * Returns {
+ *   marks:    Map column → cars at that column (track order),
+ *   rows:     [[{ col, car }]] label placements, one array per row,
+ *   hidden:   cars whose label didn't fit,
+ * }
+ */
+function layoutTrackMap(cars, width, maxRows) {
+  const placed = cars
+    .filter(c => c.distPct != null && c.distPct >= 0)
+    .map(car => ({ car, col: columnOf(car.distPct, width) }))
+    .sort((a, b) => a.col - b.col);
+
+  const marks = new Map();
+  for (const { car, col } of placed) {
+    if (!marks.has(col)) marks.set(col, []);
+    marks.get(col).push(car);
+  }
+
+  const rows   = [];
+  const ends   = []; // first free column in each row
+  const hidden = [];
+  for (const { car, col } of placed) {
+    // Keep the label inside the line; it then starts left of its car.
+    const start = Math.max(0, Math.min(col, width - car.label.length));
+    let row = ends.findIndex(end => end <= start);
+    if (row === -1 && rows.length < maxRows) {
+      row = rows.length;
+      rows.push([]);
+      ends.push(0);
+    }
+    if (row === -1) {
+      hidden.push(car);
+      continue;
+    }
+    rows[row].push({ col: start, car });
+    ends[row] = start + car.label.length + 1; // one space between labels
+  }
+
+  return { marks, rows, hidden };
+}
+
+module.exports = { layoutTrackMap, columnOf };